@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Build Contract Analytics
+ * Joins each stock file with its underlying prices and precomputes implied
+ * vol, delta, moneyness and liquidity flags per contract per date, plus the
+ * daily ATM vols, put/call ratio and max pain (see src/analytics.js). Writes
+ * public/data/analytics/<code>.json, which the app loads lazily and uses when
+ * its pricing settings match.
+ *
+ *   node scripts/build_analytics.js              # add dates not yet analysed
+ *   node scripts/build_analytics.js --full       # recompute every date
+ *   node scripts/build_analytics.js ALB TCH      # only these stocks
+ *
+ * Solving every contract on an American tree is slow (minutes per stock), so
+ * existing files are extended rather than rebuilt: only dates missing from a
+ * file are computed, unless its pricing inputs (dividend yield, rates.json)
+ * have changed. build_data.js runs this stage with --analytics. Whenever a
+ * file is written the manifest is re-hashed, so the app can check analytics
+ * files against the build like every other data file.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ANALYTICS_VERSION, ANALYTICS_FIELDS, dateAnalytics, ratesFingerprint } from '../src/analytics.js';
+import { getDates } from '../src/data.js';
+import { withDateRate } from '../src/rates.js';
+import { SURFACE_DEFAULTS } from '../src/surface.js';
+import { refreshManifest } from './manifest.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.resolve(__dirname, '..', 'public', 'data');
+
+// Same defaults as the app and the screener: American exercise on a CRR tree,
+// carry from index.json divYield, discounting off rates.json
+const PRICING = { exercise: 'american' };
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build or extend the analytics files
+ * @param {string} [dataDir] - Directory holding index.json, the stock files and prices/
+ * @param {object} [opts] - { codes: stock classes to build (all by default), full }
+ * @returns {object} - { built: codes written, dates: dates computed, manifest: the
+ *   re-hashed manifest, or null when nothing was written }
+ */
+export function buildAnalytics(dataDir = DATA_DIR, { codes = null, full = false } = {}) {
+  const index = readJSON(path.join(dataDir, 'index.json'));
+  if (!index) throw new Error(`${dataDir}/index.json not found. Run npm run build:data first.`);
+  const rates = readJSON(path.join(dataDir, 'rates.json'));
+  const outDir = path.join(dataDir, 'analytics');
+
+  const stocks = codes ? index.stocks.filter(s => codes.includes(s.code)) : index.stocks;
+  const result = { built: [], dates: 0, manifest: null };
+  for (const { code, divYield } of stocks) {
+    const stockData = readJSON(path.join(dataDir, `${code}.json`));
+    if (!stockData) continue;
+    const priceData = readJSON(path.join(dataDir, 'prices', `${code}.json`));
+
+    const opts = { ...PRICING, rates, q: divYield || 0 };
+    const pricing = {
+      exercise: PRICING.exercise,
+      method: PRICING.method ?? null,
+      steps: SURFACE_DEFAULTS.steps,
+      q: opts.q,
+      rates: ratesFingerprint(rates)
+    };
+
+    // Keep what an earlier run computed with the same inputs
+    const file = path.join(outDir, `${code}.json`);
+    const prev = full ? null : readJSON(file);
+    const reusable = prev?.version === ANALYTICS_VERSION && JSON.stringify(prev.pricing) === JSON.stringify(pricing);
+    const dates = getDates(stockData);
+    const todo = dates.filter(d => !(reusable && d in prev.dates));
+    if (todo.length === 0) continue;
+
+    const started = Date.now();
+    // Dates without a resolvable spot are kept as null so later runs skip them
+    const merged = {};
+    for (const date of dates) {
+      merged[date] = todo.includes(date)
+        ? dateAnalytics(stockData, priceData, date, withDateRate(opts, date))
+        : prev.dates[date];
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      version: ANALYTICS_VERSION,
+      generated: new Date().toISOString(),
+      pricing,
+      fields: ANALYTICS_FIELDS,
+      dates: merged
+    }));
+    result.built.push(code);
+    result.dates += todo.length;
+    console.log(`  📄 ${code}: ${todo.length} date${todo.length === 1 ? '' : 's'} in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  }
+  if (result.built.length) result.manifest = refreshManifest(dataDir);
+  return result;
+}
+
+// Standalone: stock codes as arguments, --full to recompute
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const codes = args.filter(a => !a.startsWith('--'));
+  console.log('🔨 Building contract analytics...');
+  try {
+    const { built, dates, manifest } = buildAnalytics(DATA_DIR, { codes: codes.length ? codes : null, full: args.includes('--full') });
+    console.log(`\n✅ Analytics complete: ${dates} dates across ${built.length} stocks`);
+    if (manifest) console.log(`   🔏 Manifest build ${manifest.build}`);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -2,100 +2,39 @@
 /**
  * Build Data Pipeline
  * Parses HKEX DTOP .raw files into optimized JSON for the web app.
+ *
+ *   node scripts/build_data.js          # add DTOP dates not yet in public/data
+ *   node scripts/build_data.js --full   # re-parse every DTOP directory
+ *
+ * --shards also splits every stock file into per-month files under
+ * public/data/shards/<code>/ for the app to load lazily; once on, incremental
+ * builds keep them up to date (a --full rebuild without it turns them off).
+ * --analytics also runs scripts/build_analytics.js over the result.
  */
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { writeManifest } from './manifest.js';
+import { validateDataDir, reportValidation } from './validate_data.js';
+import { buildAnalytics } from './build_analytics.js';
+import { FORMAT_VERSION, FIELD_MAP, STANDARD_SERIES, chainKey, expiryDate } from '../src/schema.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..', '..');
 const OUT_DIR = path.resolve(__dirname, '..', 'public', 'data');
+const SHARD_DIR = path.join(OUT_DIR, 'shards');
 
-// Stock code → display name mapping
-const STOCK_NAMES = {
-  'A50': { name: 'CSOP A50 ETF', ticker: '2823.HK' },
-  'AAC': { name: 'AAC Technologies', ticker: '2018.HK' },
-  'ACC': { name: 'ACC', ticker: '' },
-  'AIA': { name: 'AIA Group', ticker: '1299.HK' },
-  'AIR': { name: 'Air China', ticker: '0753.HK' },
-  'AKS': { name: 'Akeso Inc', ticker: '9926.HK' },
-  'ALB': { name: 'Alibaba Group', ticker: '9988.HK' },
-  'ALC': { name: 'CNOOC', ticker: '0883.HK' },
-  'ALH': { name: 'Ali Health', ticker: '0241.HK' },
-  'AMC': { name: 'AMC Entertainment', ticker: '' },
-  'ANA': { name: 'Anta Sports', ticker: '2020.HK' },
-  'BCM': { name: 'Bank of Communications', ticker: '3328.HK' },
-  'BEA': { name: 'Bank of East Asia', ticker: '0023.HK' },
-  'BIU': { name: 'BYD Company', ticker: '1211.HK' },
-  'BLI': { name: 'Bilibili Inc', ticker: '9626.HK' },
-  'BOC': { name: 'BOC Hong Kong', ticker: '2388.HK' },
-  'BOM': { name: 'Bank of China', ticker: '3988.HK' },
-  'BUD': { name: 'Budweiser APAC', ticker: '1876.HK' },
-  'BYA': { name: 'BYD Electronic', ticker: '0285.HK' },
-  'BYD': { name: 'BYD Company', ticker: '1211.HK' },
-  'BYE': { name: 'BYD Electronic', ticker: '0285.HK' },
-  'CAT': { name: 'CATL', ticker: '' },
-  'CCC': { name: 'China Communications Construction', ticker: '1800.HK' },
-  'CCE': { name: 'CITIC Securities', ticker: '6030.HK' },
-  'CDA': { name: 'ChinaAMC CSI 300 ETF', ticker: '3188.HK' },
-  'CGN': { name: 'CGN Power', ticker: '1816.HK' },
-  'CHQ': { name: 'Chongqing Rural Commercial Bank', ticker: '3618.HK' },
-  'CHT': { name: 'China Telecom', ticker: '0728.HK' },
-  'CLI': { name: 'China Life Insurance', ticker: '2628.HK' },
-  'CNC': { name: 'China Unicom', ticker: '0762.HK' },
-  'COS': { name: 'COSCO Shipping', ticker: '1919.HK' },
-  'CPC': { name: 'China Pacific Insurance', ticker: '2601.HK' },
-  'CPI': { name: 'China Power International', ticker: '2380.HK' },
-  'CRC': { name: 'China Resources Cement', ticker: '1313.HK' },
-  'CRL': { name: 'China Resources Land', ticker: '1109.HK' },
-  'CSA': { name: 'China Southern Airlines', ticker: '1055.HK' },
-  'CTB': { name: 'China Tower', ticker: '0788.HK' },
-  'DFI': { name: 'Dongfeng Motor', ticker: '0489.HK' },
-  'EAC': { name: 'Eastern Air Logistics', ticker: '' },
-  'FIH': { name: 'FIH Mobile', ticker: '2038.HK' },
-  'GAH': { name: 'Guangzhou Auto', ticker: '2238.HK' },
-  'GLX': { name: 'Galaxy Entertainment', ticker: '0027.HK' },
-  'GOL': { name: 'SEHK Gold ETF', ticker: '' },
-  'HEI': { name: 'Hengan International', ticker: '1044.HK' },
-  'HEX': { name: 'Hang Seng China Enterprises ETF', ticker: '2828.HK' },
-  'HKB': { name: 'HSBC Holdings', ticker: '0005.HK' },
-  'HLD': { name: 'Henderson Land', ticker: '0012.HK' },
-  'HSI': { name: 'Tracker Fund of HK', ticker: '2800.HK' },
-  'ICB': { name: 'ICBC', ticker: '1398.HK' },
-  'JDC': { name: 'JD.com', ticker: '9618.HK' },
-  'KDR': { name: 'Kuaishou Technology', ticker: '1024.HK' },
-  'KST': { name: 'Kingsoft Corp', ticker: '3888.HK' },
-  'LEN': { name: 'Lenovo Group', ticker: '0992.HK' },
-  'LNK': { name: 'Link REIT', ticker: '0823.HK' },
-  'MET': { name: 'Meituan', ticker: '3690.HK' },
-  'MIU': { name: 'Xiaomi Corp', ticker: '1810.HK' },
-  'MOL': { name: 'China Mengniu Dairy', ticker: '2319.HK' },
-  'NEC': { name: 'NIO Inc', ticker: '9866.HK' },
-  'NTE': { name: 'NetEase Inc', ticker: '9999.HK' },
-  'NWD': { name: 'New World Development', ticker: '0017.HK' },
-  'PAI': { name: 'Ping An Insurance', ticker: '2318.HK' },
-  'PEC': { name: 'PetroChina', ticker: '0857.HK' },
-  'PEN': { name: 'Ping An Good Doctor / Ping An HC', ticker: '' },
-  'POP': { name: 'Pop Mart International', ticker: '9992.HK' },
-  'PRU': { name: 'Prudential', ticker: '2378.HK' },
-  'SAN': { name: 'Sands China', ticker: '1928.HK' },
-  'SEG': { name: 'SenseTime Group', ticker: '0020.HK' },
-  'SHK': { name: 'Sun Hung Kai Properties', ticker: '0016.HK' },
-  'SIN': { name: 'Sinopec Corp', ticker: '0386.HK' },
-  'SMC': { name: 'SMIC', ticker: '0981.HK' },
-  'SUN': { name: 'Sunny Optical', ticker: '2382.HK' },
-  'TCH': { name: 'Tencent Holdings', ticker: '0700.HK' },
-  'TRA': { name: 'Tracker Fund of HK', ticker: '2800.HK' },
-  'TWR': { name: 'CK Infrastructure', ticker: '1038.HK' },
-  'VNK': { name: 'China Vanke', ticker: '2202.HK' },
-  'WHL': { name: 'Wharf Holdings', ticker: '0004.HK' },
-  'XAB': { name: 'XPeng Inc', ticker: '9868.HK' },
-  'XBC': { name: 'China Construction Bank', ticker: '0939.HK' },
-  'XCC': { name: 'China Merchants Bank', ticker: '3968.HK' },
-  'XIC': { name: 'ICBC', ticker: '1398.HK' },
-  'XPC': { name: 'China Pacific Insurance', ticker: '2601.HK' },
-  'ZJM': { name: 'Zijin Mining', ticker: '2899.HK' },
-};
+// Per-stock contract metadata: name, ticker, sector, contract multiplier,
+// tick size, currency and approximate trailing dividend yield
+const STOCK_META = JSON.parse(fs.readFileSync(path.join(__dirname, 'stocks.json'), 'utf8'));
+
+function stockMeta(cls) {
+  const { name = cls, ticker = '', divYield = 0, ...contract } = STOCK_META.stocks[cls] || {};
+  return { name, ticker, ...STOCK_META.defaults, ...contract, divYield };
+}
+
+// HKEX contract adjustments (corporate actions), linked into the stock files
+const ADJUSTMENTS = JSON.parse(fs.readFileSync(path.join(__dirname, 'adjustments.json'), 'utf8')).adjustments;
 
 const MONTH_MAP = { 'JAN': '01', 'FEB': '02', 'MAR': '03', 'APR': '04', 'MAY': '05', 'JUN': '06',
   'JUL': '07', 'AUG': '08', 'SEP': '09', 'OCT': '10', 'NOV': '11', 'DEC': '12' };
@@ -124,8 +63,8 @@ function parseRawFile(filePath) {
   for (const line of lines) {
     const f = parseLine(line);
     if (f[0] !== '01') continue; // skip header/trailer
-    if (f[1] !== 'SOM') continue; // only stock options (not weekly/RMB)
 
+    const series = f[1];  // SOM = standard monthly; weekly, RMB etc. have their own codes
     const stockClass = f[3];
     const expDay = f[4].padStart(2, '0');
     const expMonth = MONTH_MAP[f[5]] || f[5];
@@ -150,7 +89,7 @@ function parseRawFile(filePath) {
     const putPriceChg = parseFloat(f[21]) || 0;
 
     records.push({
-      stockClass, expiry, strike,
+      series, stockClass, expiry, strike,
       call: { gross: callGross, net: callNet, change: callChange, to: callTO, deals: callDeals, settle: callSettle, priceChg: callPriceChg },
       put: { gross: putGross, net: putNet, change: putChange, to: putTO, deals: putDeals, settle: putSettle, priceChg: putPriceChg }
     });
@@ -158,25 +97,15 @@ function parseRawFile(filePath) {
   return records;
 }
 
-function main() {
-  console.log('🔨 Building data from HKEX DTOP files...');
-
-  // Find all DTOP directories
-  const dirs = fs.readdirSync(ROOT)
-    .filter(d => d.startsWith('DTOP_O_') && fs.statSync(path.join(ROOT, d)).isDirectory())
-    .sort();
-
-  console.log(`📁 Found ${dirs.length} DTOP directories`);
-
-  // Collect all data grouped by stock class
-  const stockData = {};  // { class: { dates: { date: { expiries: { expiry: [ {strike, call, put} ] } } } } }
-  const allDates = [];
-  const dailySummary = {};  // { date: { class: { callOI, putOI, callVol, putVol } } }
+// Parse DTOP directories into per-stock chains and per-date totals
+function ingest(dirs) {
+  const stockData = {};  // { class: { dates: { date: { chainKey: [ {k, c, p} ] } }, series: { chainKey: code } } }
+  const dates = [];
+  const dailySummary = {};  // { date: { class: { cOI, pOI, cVol, pVol } } }
 
   for (const dir of dirs) {
-    const dateStr = dir.replace('DTOP_O_', '');
-    const formattedDate = `${dateStr.slice(0,4)}-${dateStr.slice(4,6)}-${dateStr.slice(6,8)}`;
-    allDates.push(formattedDate);
+    const formattedDate = dirDate(dir);
+    dates.push(formattedDate);
 
     // Find the all.raw file
     const rawFiles = fs.readdirSync(path.join(ROOT, dir)).filter(f => f.endsWith('_all.raw'));
@@ -194,18 +123,24 @@ function main() {
     for (const rec of records) {
       // Build per-stock data
       if (!stockData[rec.stockClass]) {
-        stockData[rec.stockClass] = { dates: {} };
+        stockData[rec.stockClass] = { dates: {}, series: {} };
       }
+
+      // Chains are keyed by series and expiry, so a weekly or RMB series expiring
+      // on the same day as the monthly keeps its own chain
+      const key = chainKey(rec.expiry, rec.series);
+      stockData[rec.stockClass].series[key] = rec.series;
+
       if (!stockData[rec.stockClass].dates[formattedDate]) {
         stockData[rec.stockClass].dates[formattedDate] = {};
       }
-      if (!stockData[rec.stockClass].dates[formattedDate][rec.expiry]) {
-        stockData[rec.stockClass].dates[formattedDate][rec.expiry] = [];
+      if (!stockData[rec.stockClass].dates[formattedDate][key]) {
+        stockData[rec.stockClass].dates[formattedDate][key] = [];
       }
-      stockData[rec.stockClass].dates[formattedDate][rec.expiry].push({
+      stockData[rec.stockClass].dates[formattedDate][key].push({
         k: rec.strike,
-        c: [rec.call.gross, rec.call.net, rec.call.to, rec.call.deals, rec.call.settle, rec.call.priceChg],
-        p: [rec.put.gross, rec.put.net, rec.put.to, rec.put.deals, rec.put.settle, rec.put.priceChg]
+        c: [rec.call.gross, rec.call.net, rec.call.to, rec.call.deals, rec.call.settle, rec.call.priceChg, rec.call.change],
+        p: [rec.put.gross, rec.put.net, rec.put.to, rec.put.deals, rec.put.settle, rec.put.priceChg, rec.put.change]
       });
 
       // Accumulate daily summary
@@ -218,17 +153,227 @@ function main() {
       dailySummary[formattedDate][rec.stockClass].pVol += rec.put.to;
     }
   }
+  return { stockData, dates, dailySummary };
+}
+
+function dirDate(dir) {
+  const dateStr = dir.replace('DTOP_O_', '');
+  return `${dateStr.slice(0,4)}-${dateStr.slice(4,6)}-${dateStr.slice(6,8)}`;
+}
+
+function readOutput(name) {
+  const file = path.join(OUT_DIR, name);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// Rebuild an object with its keys in sorted order, so backfilled dates land in place
+function sortKeys(obj) {
+  return Object.fromEntries(Object.keys(obj).sort().map(k => [k, obj[k]]));
+}
+
+// Closest row to an adjusted strike; HKEX rounds adjusted strikes, so allow 0.2%
+function matchStrike(rows, target) {
+  let best = null;
+  for (const r of rows) {
+    if (Math.abs(r.k - target) <= target * 0.002 && (!best || Math.abs(r.k - target) < Math.abs(best.k - target))) best = r;
+  }
+  return best;
+}
+
+/**
+ * Pre- to post-adjustment strike pairs of one registry adjustment: every
+ * contract listed on the last day before the effective date is matched to
+ * strike × factor on the first day after, in the adjusted class
+ * @param {object} adj - Registry entry ({ effective, factor, ... })
+ * @param {object} before - Stock file of adj.code
+ * @param {object} after - Stock file of the adjusted class (the same file when it is adj.code)
+ * @returns {object} - { chainKey: [[strike, adjustedStrike], ...] }
+ */
+export function adjustmentLinks(adj, before, after) {
+  const prevDate = Object.keys(before.dates).filter(d => d < adj.effective).sort().pop();
+  const postDate = Object.keys(after.dates).filter(d => d >= adj.effective).sort()[0];
+
+  const links = {};
+  if (!prevDate || !postDate) return links;
+  for (const [expiry, rows] of Object.entries(before.dates[prevDate])) {
+    const adjustedRows = after.dates[postDate][expiry];
+    if (expiryDate(expiry) < adj.effective || !adjustedRows) continue;
+    const pairs = [];
+    for (const r of rows) {
+      const match = matchStrike(adjustedRows, r.k * adj.factor);
+      if (match) pairs.push([r.k, match.k]);
+    }
+    if (pairs.length) links[expiry] = pairs;
+  }
+  return links;
+}
+
+/**
+ * Link each registry adjustment (adjustmentLinks) and store the result as
+ * `adjustments` in both classes' files; files whose entries changed are
+ * rewritten.
+ * @returns {string[]} - Classes rewritten
+ */
+function linkAdjustments(stockClasses) {
+  const known = new Set(stockClasses);
+  const entries = {};  // class → adjustments to embed
+  const files = {};
+  const load = cls => (files[cls] ??= readOutput(`${cls}.json`));
+
+  for (const adj of ADJUSTMENTS) {
+    const adjustedCode = adj.adjustedCode || adj.code;
+    if (!known.has(adj.code) || !known.has(adjustedCode)) {
+      console.warn(`  ⚠️  Adjustment ${adj.code} ${adj.effective}: class not in the data, skipped`);
+      continue;
+    }
+    const links = adjustmentLinks(adj, load(adj.code), load(adjustedCode));
+    const entry = { ...adj, adjustedCode, links };
+    for (const cls of new Set([adj.code, adjustedCode])) (entries[cls] ??= []).push(entry);
+  }
+
+  // Rewrite files whose embedded adjustments differ, including ones dropped from the registry
+  const rewritten = [];
+  for (const cls of stockClasses) {
+    const data = load(cls);
+    const next = (entries[cls] || []).sort((a, b) => a.effective.localeCompare(b.effective));
+    if (JSON.stringify(data.adjustments || []) === JSON.stringify(next)) {
+      delete files[cls];
+      continue;
+    }
+    if (next.length) data.adjustments = next;
+    else delete data.adjustments;
+    fs.writeFileSync(path.join(OUT_DIR, `${cls}.json`), JSON.stringify(data));
+    rewritten.push(cls);
+    delete files[cls];
+  }
+  return rewritten;
+}
+
+/**
+ * Split a stock file into one file per month under shards/<cls>/, plus an
+ * index.json listing each month's dates and carrying the series map and
+ * adjustments, so the app only fetches the months it shows.
+ * @param {Set<string>|null} [months] - 'YYYY-MM' months to rewrite (all when null);
+ *   the shard index is always rewritten
+ */
+function writeShards(cls, months = null) {
+  const { dates, ...terms } = readOutput(`${cls}.json`);
+  const dir = path.join(SHARD_DIR, cls);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const byMonth = {};
+  for (const date of Object.keys(dates).sort()) (byMonth[date.slice(0, 7)] ??= []).push(date);
+  for (const [month, monthDates] of Object.entries(byMonth)) {
+    if (months && !months.has(month)) continue;
+    const shard = { dates: Object.fromEntries(monthDates.map(d => [d, dates[d]])) };
+    fs.writeFileSync(path.join(dir, `${month}.json`), JSON.stringify(shard));
+  }
+  fs.writeFileSync(path.join(dir, 'index.json'), JSON.stringify({ code: cls, months: byMonth, ...terms }));
+}
+
+/**
+ * Incremental by default: dates already in index.json are kept as built and
+ * only new DTOP directories are parsed, merged into the stock files they
+ * touch, and folded into index.json and summary.json. --full re-parses
+ * everything (needed after a parser change or a corrected DTOP file).
+ */
+function main() {
+  const full = process.argv.includes('--full');
+  console.log(`🔨 Building data from HKEX DTOP files${full ? ' (full rebuild)' : ''}...`);
+
+  // Find all DTOP directories
+  const dirs = fs.readdirSync(ROOT)
+    .filter(d => d.startsWith('DTOP_O_') && fs.statSync(path.join(ROOT, d)).isDirectory())
+    .sort();
+
+  console.log(`📁 Found ${dirs.length} DTOP directories`);
+
+  // Previous build, unless rebuilding from scratch
+  let prevIndex = full ? null : readOutput('index.json');
+  if (prevIndex && (prevIndex.formatVersion ?? 1) !== FORMAT_VERSION) {
+    // Rows of two formats can't share a file
+    console.log(`  public/data is format ${prevIndex.formatVersion ?? 1}, this build writes format ${FORMAT_VERSION} — rebuilding everything`);
+    prevIndex = null;
+  }
+  const prevSummary = prevIndex ? readOutput('summary.json') : null;
+  const incremental = Boolean(prevIndex && prevSummary);
+  const sharded = process.argv.includes('--shards') || Boolean(incremental && prevIndex.sharded);
+  // Shards are rewritten from scratch with the stock files, so none go stale
+  if (!incremental) fs.rmSync(SHARD_DIR, { recursive: true, force: true });
+  if (!full && !incremental && !fs.existsSync(path.join(OUT_DIR, 'index.json'))) {
+    console.log('  No previous build in public/data — building everything');
+  }
+
+  const builtDates = new Set(incremental ? prevIndex.dates : []);
+  const newDirs = dirs.filter(d => !builtDates.has(dirDate(d)));
+  if (incremental && newDirs.length === 0) {
+    // No new dates, but the adjustment registry may have changed
+    const stockClasses = prevIndex.stocks.map(s => s.code).sort();
+    const relinked = linkAdjustments(stockClasses);
+    const reshard = sharded && !prevIndex.sharded;  // first --shards run over this build
+    if (relinked.length === 0 && !reshard) {
+      console.log(`\n✅ Already up to date: ${builtDates.size} dates through ${prevIndex.latestDate}, nothing to add.`);
+      return stockClasses;
+    }
+    if (sharded) {
+      for (const cls of reshard ? stockClasses : relinked) writeShards(cls, reshard ? null : new Set());
+    }
+    if (reshard) fs.writeFileSync(path.join(OUT_DIR, 'index.json'), JSON.stringify({ ...prevIndex, sharded: true }));
+    const manifest = writeManifest(OUT_DIR, { sources: prevIndex.dates.map(d => `DTOP_O_${d.replace(/-/g, '')}`), stockClasses, sharded });
+    const changes = [
+      relinked.length ? `contract adjustments relinked in ${relinked.join(', ')}` : null,
+      reshard ? `${stockClasses.length} stock files split into month shards` : null
+    ].filter(Boolean).join('; ');
+    console.log(`\n✅ No new dates; ${changes} (manifest build ${manifest.build})`);
+    if (!reportValidation(validateDataDir(OUT_DIR))) process.exitCode = 1;
+    return stockClasses;
+  }
+
+  // Collect the new data grouped by stock class
+  const { stockData, dates: addedDates, dailySummary: newSummary } = ingest(newDirs);
+  const allDates = [...new Set([...builtDates, ...addedDates])].sort();
+  const dailySummary = sortKeys({ ...(incremental ? prevSummary : {}), ...newSummary });
 
   // Create output directory
   fs.mkdirSync(OUT_DIR, { recursive: true });
 
-  // Write per-stock JSON files
-  const stockClasses = Object.keys(stockData).sort();
-  console.log(`\n📊 Writing ${stockClasses.length} stock JSON files...`);
+  // Write the stock files the new dates touched, merged into what was built before
+  const touched = Object.keys(stockData).sort();
+  console.log(`\n📊 Writing ${touched.length} stock JSON files...`);
 
-  for (const cls of stockClasses) {
-    const outPath = path.join(OUT_DIR, `${cls}.json`);
-    fs.writeFileSync(outPath, JSON.stringify(stockData[cls]));
+  const dateCounts = {};
+  for (const cls of touched) {
+    const prev = incremental ? readOutput(`${cls}.json`) : null;
+    const merged = { dates: sortKeys({ ...(prev?.dates || {}), ...stockData[cls].dates }) };
+    // Only non-standard expiries are named in the file
+    const series = Object.entries({ ...(prev?.series || {}), ...stockData[cls].series })
+      .filter(([, code]) => code !== STANDARD_SERIES);
+    if (series.length) merged.series = sortKeys(Object.fromEntries(series));
+    if (prev?.adjustments) merged.adjustments = prev.adjustments;  // relinked below
+    dateCounts[cls] = Object.keys(merged.dates).length;
+    fs.writeFileSync(path.join(OUT_DIR, `${cls}.json`), JSON.stringify(merged));
+  }
+
+  // Stocks no new date touched keep their file and date count
+  if (incremental) {
+    for (const s of prevIndex.stocks) {
+      if (!(s.code in dateCounts)) dateCounts[s.code] = s.dates;
+    }
+  }
+  const stockClasses = Object.keys(dateCounts).sort();
+
+  // Link contract adjustments across the merged files
+  const relinked = linkAdjustments(stockClasses);
+  if (relinked.length) console.log(`🔗 Contract adjustments relinked in ${relinked.join(', ')}`);
+
+  // Month shards: every month on the first sharded build, else the months the
+  // new dates fell in, plus the shard index of classes whose adjustments changed
+  if (sharded) {
+    const fresh = !incremental || !prevIndex.sharded;
+    const newMonths = new Set(addedDates.map(d => d.slice(0, 7)));
+    const reshard = fresh ? stockClasses : [...new Set([...touched, ...relinked])];
+    for (const cls of reshard) writeShards(cls, fresh ? null : touched.includes(cls) ? newMonths : new Set());
+    console.log(`🧩 Month shards written for ${reshard.length} stock classes`);
   }
 
   // Compute aggregated summary for the latest date for the index
@@ -237,14 +382,11 @@ function main() {
 
   // Build stock list with metadata
   const stockList = stockClasses.map(cls => {
-    const info = STOCK_NAMES[cls] || { name: cls, ticker: '' };
     const latest = latestSummary[cls] || { cOI: 0, pOI: 0, cVol: 0, pVol: 0 };
-    const dateCount = Object.keys(stockData[cls].dates).length;
     return {
       code: cls,
-      name: info.name,
-      ticker: info.ticker,
-      dates: dateCount,
+      ...stockMeta(cls),
+      dates: dateCounts[cls],
       latestCallOI: latest.cOI,
       latestPutOI: latest.pOI,
       latestCallVol: latest.cVol,
@@ -255,13 +397,12 @@ function main() {
 
   // Write index
   const index = {
-    dates: allDates.sort(),
+    dates: allDates,
     stocks: stockList.sort((a, b) => b.totalOI - a.totalOI),
     latestDate,
-    fieldMap: {
-      c: ['gross', 'net', 'turnover', 'deals', 'settle', 'priceChg'],
-      p: ['gross', 'net', 'turnover', 'deals', 'settle', 'priceChg']
-    }
+    formatVersion: FORMAT_VERSION,
+    fieldMap: FIELD_MAP,
+    ...(sharded ? { sharded: true } : {})
   };
 
   fs.writeFileSync(path.join(OUT_DIR, 'index.json'), JSON.stringify(index));
@@ -269,16 +410,42 @@ function main() {
   // Write daily summary
   fs.writeFileSync(path.join(OUT_DIR, 'summary.json'), JSON.stringify(dailySummary));
 
+  // Write manifest last, over the files exactly as written
+  const manifest = writeManifest(OUT_DIR, {
+    sources: allDates.map(d => `DTOP_O_${d.replace(/-/g, '')}`),
+    stockClasses,
+    sharded
+  });
+
   // Stats
   const totalSize = stockClasses.reduce((sum, cls) => {
     return sum + fs.statSync(path.join(OUT_DIR, `${cls}.json`)).size;
   }, 0);
 
   console.log(`\n✅ Data build complete!`);
-  console.log(`   📊 ${stockClasses.length} stock classes`);
+  console.log(`   ➕ ${addedDates.length} date${addedDates.length === 1 ? '' : 's'} added: ${addedDates.join(', ')}`);
+  console.log(`   📊 ${stockClasses.length} stock classes (${touched.length} rewritten)`);
   console.log(`   📅 ${allDates.length} trading days (${allDates[0]} → ${allDates[allDates.length-1]})`);
   console.log(`   💾 Total data size: ${(totalSize / 1024 / 1024).toFixed(1)} MB`);
+  console.log(`   🔏 Manifest build ${manifest.build}`);
   console.log(`   📁 Output: ${OUT_DIR}`);
+
+  // Check the output against the schemas the app validates with
+  console.log('');
+  if (!reportValidation(validateDataDir(OUT_DIR))) process.exitCode = 1;
+  return stockClasses;
 }
 
-main();
+// Run as a script; imported (e.g. by the tests) it only provides adjustmentLinks
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const stockClasses = main();
+
+  // Optional analytics stage, extending each stock's file with the dates it lacks
+  if (process.argv.includes('--analytics') && process.exitCode !== 1) {
+    console.log('\n🔨 Building contract analytics...');
+    const { built, dates, manifest } = buildAnalytics(OUT_DIR, { codes: stockClasses, full: process.argv.includes('--full') });
+    console.log(`✅ Analytics: ${dates} dates across ${built.length} stocks`);
+    if (manifest) console.log(`   🔏 Manifest rebuilt as ${manifest.build}`);
+    if (!reportValidation(validateDataDir(OUT_DIR))) process.exitCode = 1;
+  }
+}
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Build IV Screener
+ * Computes 30-day ATM implied vol history, IV rank and IV percentile for every
+ * stock in public/data/index.json and writes public/data/screener.json.
+ * Run after build:data (and fetch_prices.py, whose closes back up parity).
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ivHistory, screenStock, SCREENER_TENOR } from '../src/screener.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.resolve(__dirname, '..', 'public', 'data');
+
+// Same defaults as the app: American exercise on a CRR tree, discounting off
+// rates.json (flat 4% if it is missing)
+const PRICING = { exercise: 'american' };
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function main() {
+  console.log('🔨 Building IV screener...');
+  const index = readJSON(path.join(DATA_DIR, 'index.json'));
+  if (!index) {
+    console.error('❌ public/data/index.json not found. Run npm run build:data first.');
+    process.exit(1);
+  }
+  const rates = readJSON(path.join(DATA_DIR, 'rates.json'));
+
+  const stocks = [];
+  for (const { code, name, divYield } of index.stocks) {
+    const stockData = readJSON(path.join(DATA_DIR, `${code}.json`));
+    if (!stockData) continue;
+    const priceData = readJSON(path.join(DATA_DIR, 'prices', `${code}.json`));
+
+    const history = ivHistory(stockData, priceData, { ...PRICING, rates, q: divYield || 0 });
+    const row = screenStock(history);
+    if (!row) {
+      console.log(`  ⚠️  ${code}: no solvable ATM vol`);
+      continue;
+    }
+    // History aligned to index.dates so every row shares one date axis
+    const byDate = Object.fromEntries(history.dates.map((d, i) => [d, history.iv[i]]));
+    const aligned = index.dates.map(d => byDate[d] == null ? null : +byDate[d].toFixed(4));
+    stocks.push({ code, name, ...row, history: aligned });
+    console.log(`  📄 ${code}: IV30 ${(row.iv30 * 100).toFixed(1)}%, rank ${row.ivRank.toFixed(0)}, pct ${row.ivPercentile.toFixed(0)}`);
+  }
+
+  // No build timestamp, so rebuilding unchanged inputs leaves the file unchanged
+  const screener = {
+    tenorDays: SCREENER_TENOR,
+    dates: index.dates,
+    stocks
+  };
+  fs.writeFileSync(path.join(DATA_DIR, 'screener.json'), JSON.stringify(screener));
+
+  console.log(`\n✅ Screener complete: ${stocks.length} of ${index.stocks.length} stocks`);
+}
+
+main();
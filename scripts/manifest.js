@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Data Build Manifest
+ * Writes public/data/manifest.json describing one data build: when it ran,
+ * which DTOP directories fed it, and the SHA-256, size and record count of
+ * every file build_data.js produced. The browser checks downloaded files
+ * against it to catch a mix of files from two builds.
+ *
+ * build_data.js calls writeManifest at the end of a build, and
+ * build_analytics.js re-hashes after writing analytics files (refreshManifest).
+ * Run this file directly to re-hash the files already in public/data (sources
+ * are then taken from index.json dates).
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.resolve(__dirname, '..', 'public', 'data');
+
+export const MANIFEST_VERSION = 1;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Record count per file type: option rows for stock files and month shards,
+// stocks for the index, dates for the summary and analytics files, months for
+// a shard index
+function countRecords(name, json) {
+  if (name === 'index.json') return json.stocks.length;
+  if (name === 'summary.json') return Object.keys(json).length;
+  if (name.startsWith('analytics/')) return Object.keys(json.dates).length;
+  if (name.endsWith('/index.json')) return Object.keys(json.months).length;
+  let rows = 0;
+  for (const expiries of Object.values(json.dates)) {
+    for (const chain of Object.values(expiries)) rows += chain.length;
+  }
+  return rows;
+}
+
+// Shard files of a stock class (build_data.js --shards)
+function shardFiles(outDir, cls) {
+  const dir = path.join(outDir, 'shards', cls);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().map(f => `shards/${cls}/${f}`);
+}
+
+// Analytics files present for the stock classes (build_analytics.js)
+function analyticsFiles(outDir, stockClasses) {
+  return stockClasses
+    .map(cls => `analytics/${cls}.json`)
+    .filter(name => fs.existsSync(path.join(outDir, name)));
+}
+
+/**
+ * Hash the build outputs and write manifest.json
+ * @param {string} outDir - Directory holding index.json, summary.json and stock files
+ * @param {object} opts - { sources: DTOP directory names, stockClasses, sharded }; sharded
+ *   builds also list every file under shards/. Analytics files are listed wherever
+ *   they exist.
+ * @returns {object} - The manifest written
+ */
+export function writeManifest(outDir, { sources, stockClasses, sharded = false }) {
+  const names = ['index.json', 'summary.json', ...stockClasses.map(cls => `${cls}.json`)];
+  if (sharded) for (const cls of stockClasses) names.push(...shardFiles(outDir, cls));
+  names.push(...analyticsFiles(outDir, stockClasses));
+  const files = {};
+  for (const name of names) {
+    const text = fs.readFileSync(path.join(outDir, name), 'utf8');
+    files[name] = {
+      sha256: sha256(text),
+      bytes: Buffer.byteLength(text),
+      records: countRecords(name, JSON.parse(text))
+    };
+  }
+
+  // The build id fingerprints every file, so any rebuilt file changes it
+  const build = sha256(names.map(n => `${n}:${files[n].sha256}`).join('\n')).slice(0, 16);
+  const manifest = {
+    version: MANIFEST_VERSION,
+    build,
+    generated: new Date().toISOString(),
+    sources,
+    files
+  };
+  fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 1));
+  return manifest;
+}
+
+/**
+ * Re-hash the files already in a data directory, taking the stock classes
+ * and sources from its index.json
+ * @param {string} [outDir] - Directory holding index.json
+ * @returns {object} - The manifest written
+ */
+export function refreshManifest(outDir = DATA_DIR) {
+  const index = JSON.parse(fs.readFileSync(path.join(outDir, 'index.json'), 'utf8'));
+  return writeManifest(outDir, {
+    sources: index.dates.map(d => `DTOP_O_${d.replace(/-/g, '')}`),
+    stockClasses: index.stocks.map(s => s.code).sort(),
+    sharded: Boolean(index.sharded)
+  });
+}
+
+// Standalone: re-hash the committed data
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const manifest = refreshManifest();
+  console.log(`✅ Manifest ${manifest.build}: ${Object.keys(manifest.files).length} files`);
+}
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Data Validator
+ * Checks every JSON file the app loads from public/data against the schemas
+ * in src/schema.js: index.json, summary.json, the stock files (laid out as
+ * index.json's fieldMap) and their month shards, prices/, news/ and analytics/.
+ *
+ * build_data.js runs it over its output. Run this file directly to check the
+ * files already in public/data; it exits with status 1 on any error.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  DEFAULT_FIELD_MAP, validateIndex, validateStock, validateSummary, validatePrices, validateNews, validateAnalytics,
+  validateShardIndex
+} from '../src/schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.resolve(__dirname, '..', 'public', 'data');
+
+function readJSON(file) {
+  try {
+    return { json: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    return { error: err.code === 'ENOENT' ? 'file is missing' : `not valid JSON (${err.message})` };
+  }
+}
+
+// JSON files in a subdirectory, skipping its own index.json
+function listDir(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json') && f !== 'index.json').sort();
+}
+
+/**
+ * Validate a data directory
+ * @param {string} dir - Directory holding index.json and the files it lists
+ * @returns {object} - { files: number checked, failures: { name: errors[] } }
+ */
+export function validateDataDir(dir = DATA_DIR) {
+  const failures = {};
+  let files = 0;
+  const check = (name, validator, ...args) => {
+    files++;
+    const { json, error } = readJSON(path.join(dir, name));
+    const errors = error ? [error] : validator(json, ...args);
+    if (errors.length) failures[name] = errors;
+    return error ? null : json;
+  };
+
+  const index = check('index.json', validateIndex);
+  check('summary.json', validateSummary);
+  if (index && Array.isArray(index.stocks)) {
+    const fieldMap = index.fieldMap ?? DEFAULT_FIELD_MAP;
+    for (const s of index.stocks) {
+      check(`${s.code}.json`, validateStock, fieldMap);
+      if (!index.sharded) continue;
+      const shards = check(`shards/${s.code}/index.json`, validateShardIndex);
+      for (const month of Object.keys(shards?.months ?? {})) {
+        check(`shards/${s.code}/${month}.json`, validateStock, fieldMap);
+      }
+    }
+  }
+  for (const f of listDir(path.join(dir, 'prices'))) check(`prices/${f}`, validatePrices);
+  for (const f of listDir(path.join(dir, 'news'))) check(`news/${f}`, validateNews);
+  for (const f of listDir(path.join(dir, 'analytics'))) check(`analytics/${f}`, validateAnalytics);
+
+  return { files, failures };
+}
+
+/**
+ * Print a validation result; returns true when every file passed
+ */
+export function reportValidation({ files, failures }) {
+  const names = Object.keys(failures);
+  if (!names.length) {
+    console.log(`✅ ${files} data files match their schemas`);
+    return true;
+  }
+  console.error(`❌ ${names.length} of ${files} data files are malformed:`);
+  for (const name of names) {
+    console.error(`  ${name}`);
+    for (const e of failures[name]) console.error(`    - ${e}`);
+  }
+  return false;
+}
+
+// Standalone: validate the committed data
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  if (!reportValidation(validateDataDir())) process.exitCode = 1;
+}
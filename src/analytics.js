@@ -0,0 +1,165 @@
+/**
+ * Precomputed Contract Analytics
+ * Implied vol, delta, moneyness and liquidity flags for every contract on
+ * every date, plus per-stock daily aggregates (ATM vols, put/call ratio, max
+ * pain). scripts/build_analytics.js writes them to
+ * public/data/analytics/<code>.json; the app reads those files instead of
+ * re-solving when its pricing settings are the ones the file was built with,
+ * and computes live otherwise.
+ */
+import { getChain, getExpiries } from './data.js';
+import { expiryDate } from './schema.js';
+import { impliedVolatility, greeks } from './blackscholes.js';
+import { yearFraction } from './calendar.js';
+import { resolveSpot } from './parity.js';
+import { checkArbitrage, contractKey } from './arbitrage.js';
+import { atmVolPoint, SURFACE_DEFAULTS } from './surface.js';
+import { hashText } from './cache.js';
+
+// Bumped whenever the pricing behind the files changes, so stale files are rebuilt
+// (2: CRR tree kept stable at small vols, analytic IV floor, rate tenors on trading time)
+export const ANALYTICS_VERSION = 2;
+
+// Layout of the per-contract c/p arrays
+export const ANALYTICS_FIELDS = ['iv', 'delta', 'flags'];
+
+// Liquidity flag bits
+export const FLAGS = {
+    STALE: 1,        // settle at or below the HKEX floor
+    NO_OI: 2,        // no open interest
+    NO_VOLUME: 4,    // no contracts traded that day
+    ARBITRAGE: 8     // suspect of a static arbitrage violation (arbitrage.js)
+};
+
+const round = (v, dp) => v === null ? null : +v.toFixed(dp);
+
+/**
+ * Fingerprint of rates.json, so a file priced off other fixings is not reused
+ */
+export function ratesFingerprint(rates) {
+    return hashText(JSON.stringify(rates?.curves ?? null));
+}
+
+/**
+ * Whether an analytics file is current and was priced with these settings
+ * @param {object} analytics - Analytics file (loadAnalytics)
+ * @param {object} current - { exercise, method, q, borrow, dividends, rates, rateOverride }
+ */
+export function matchesPricing(analytics, current) {
+    const p = analytics?.pricing;
+    if (!p || analytics.version !== ANALYTICS_VERSION) return false;
+    return p.exercise === current.exercise
+        && (p.method ?? null) === (current.method ?? null)
+        && Math.abs(p.q - (current.q || 0)) < 1e-9
+        && !current.borrow
+        && !current.dividends?.length
+        && Object.keys(current.rateOverride || {}).length === 0
+        && p.rates === ratesFingerprint(current.rates);
+}
+
+/**
+ * Put/call open interest ratio of a chain (or several chains concatenated)
+ * @returns {number|null} - null when no calls are open
+ */
+export function putCallRatio(chain) {
+    let calls = 0, puts = 0;
+    for (const row of chain) {
+        calls += row.call.net;
+        puts += row.put.net;
+    }
+    return calls > 0 ? puts / calls : null;
+}
+
+/**
+ * Max pain: the listed strike at which expiring options would pay holders the
+ * least, weighting intrinsic value by open interest
+ * @returns {number|null} - null when the chain has no open interest
+ */
+export function maxPain(chain) {
+    let best = null, bestPain = Infinity;
+    for (const { strike: S } of chain) {
+        let pain = 0;
+        for (const row of chain) {
+            pain += row.call.net * Math.max(0, S - row.strike) + row.put.net * Math.max(0, row.strike - S);
+        }
+        if (pain < bestPain) {
+            bestPain = pain;
+            best = S;
+        }
+    }
+    return chain.some(r => r.call.net > 0 || r.put.net > 0) ? best : null;
+}
+
+/**
+ * Analytics for one stock on one date
+ * @param {object} stockData - Per-stock DTOP JSON
+ * @param {object|null} priceData - Underlying prices JSON
+ * @param {string} date - Trading date (YYYY-MM-DD)
+ * @param {object} [opts] - Pricing options as getSurface ({ r, exercise, method, q, ... }),
+ *   with r the curve for this date
+ * @returns {object|null} - { spot, source, pcr, maxPain, atm: { front, second, cm3m },
+ *   expiries: { expiry: { pcr, maxPain, rows: [{ k, m, c: [iv, delta, flags], p }] } } },
+ *   or null when no spot can be resolved
+ */
+export function dateAnalytics(stockData, priceData, date, opts = {}) {
+    const cfg = { ...SURFACE_DEFAULTS, ...opts };
+    const spotInfo = resolveSpot(stockData, priceData, date, cfg);
+    if (!spotInfo) return null;
+    const spot = spotInfo.spot;
+
+    // Same arbitrage check as the app: parity only against a same-day close that agrees with the chain
+    const { q, borrow, dividends } = cfg;
+    const close = spotInfo.closeDate === date && !spotInfo.mismatch ? spotInfo.close : null;
+    const { flagged } = checkArbitrage(stockData, date, { spot: close, r: cfg.r, q, borrow, dividends, series: cfg.series });
+    const european = { ...cfg, exercise: 'european' };
+
+    const contract = (row, type, expiry, T) => {
+        const opt = row[type];
+        let flags = 0;
+        if (opt.settle <= cfg.minSettle) flags |= FLAGS.STALE;
+        if (opt.net < cfg.minOI) flags |= FLAGS.NO_OI;
+        if (opt.turnover < cfg.minVolume) flags |= FLAGS.NO_VOLUME;
+        if (flagged.has(contractKey(expiry, row.strike, type))) flags |= FLAGS.ARBITRAGE;
+
+        // Solved wherever the chain would show an IV; delta is the Black-Scholes delta at it, as on the surface
+        let iv = null, delta = null;
+        if (opt.settle > 0) {
+            const solved = impliedVolatility(opt.settle, spot, row.strike, T, cfg.r, type, cfg);
+            if (solved.status === 'converged') {
+                iv = solved.iv;
+                delta = greeks(spot, row.strike, T, cfg.r, iv, type, european).delta;
+            }
+        }
+        return [round(iv, 4), round(delta, 4), flags];
+    };
+
+    const expiries = {};
+    const all = [];
+    for (const expiry of getExpiries(stockData, date, cfg.series)) {
+        const T = yearFraction(expiryDate(expiry), date);
+        if (T <= 0) continue;
+        const chain = getChain(stockData, date, expiry);
+        all.push(...chain);
+        expiries[expiry] = {
+            pcr: round(putCallRatio(chain), 4),
+            maxPain: maxPain(chain),
+            rows: chain.map(row => ({
+                k: row.strike,
+                m: round(row.strike / spot, 4),
+                c: contract(row, 'call', expiry, T),
+                p: contract(row, 'put', expiry, T)
+            }))
+        };
+    }
+
+    const atm = atmVolPoint(stockData, priceData, date, cfg);
+    const front = Object.keys(expiries)[0];
+    return {
+        spot: round(spot, 4),
+        source: spotInfo.source,
+        pcr: round(putCallRatio(all), 4),
+        maxPain: front ? expiries[front].maxPain : null,
+        atm: { front: round(atm.front, 4), second: round(atm.second, 4), cm3m: round(atm.cm3m, 4) },
+        expiries
+    };
+}
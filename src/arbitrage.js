@@ -0,0 +1,168 @@
+/**
+ * Static Arbitrage Checker
+ * Scans one stock/date's settles for prices no American option chain can
+ * show without a free lunch:
+ *   vertical — calls must fall and puts rise with strike, by no more than the strike gap
+ *   butterfly — prices must be convex in strike
+ *   calendar — a longer-dated American option is worth at least the shorter one
+ *   parity — S' − K ≤ C − P ≤ S − K·e^(−rT), with S' the spot net of carry
+ * Each check allows one price tick of rounding; parity also allows for the
+ * close not being struck at the same moment as the settles.
+ *
+ * Every violation names one suspect — the contract most likely mispriced: the
+ * body of a butterfly, otherwise the implicated contract with the least open
+ * interest (stale settles sit on strikes nobody holds).
+ */
+import { getChain, getExpiries, getSeries } from './data.js';
+import { STANDARD_SERIES, expiryDate } from './schema.js';
+import { forwardPrice } from './blackscholes.js';
+import { yearFraction } from './calendar.js';
+import { DEFAULT_RATE, rateAt } from './rates.js';
+
+const DEFAULT_TOL = 0.01;  // one HKEX price tick
+const SPOT_TOL = 0.0025;   // close vs settlement-time spot, as a fraction of spot
+
+// Key identifying one contract in the flagged set
+export function contractKey(expiry, strike, type) {
+    return `${expiry}|${strike}|${type}`;
+}
+
+function priced(row, type) {
+    return row[type].settle > 0;
+}
+
+function contract(expiry, row, type) {
+    return { expiry, strike: row.strike, type, settle: row[type].settle, oi: row[type].net };
+}
+
+function leastHeld(contracts) {
+    return contracts.reduce((a, b) => b.oi < a.oi ? b : a);
+}
+
+function checkVertical(chain, expiry, tol, out) {
+    for (const type of ['call', 'put']) {
+        const rows = chain.filter(row => priced(row, type));
+        for (let i = 1; i < rows.length; i++) {
+            const lo = rows[i - 1], hi = rows[i];
+            // Call spread value (lo − hi) and put spread value (hi − lo) lie in [0, K_hi − K_lo]
+            const spread = type === 'call' ? lo.call.settle - hi.call.settle : hi.put.settle - lo.put.settle;
+            const width = hi.strike - lo.strike;
+            if (spread < -tol || spread > width + tol) {
+                const contracts = [contract(expiry, lo, type), contract(expiry, hi, type)];
+                out.push({
+                    kind: 'vertical', expiry, type, contracts,
+                    suspect: leastHeld(contracts),
+                    amount: spread < 0 ? -spread : spread - width,
+                    detail: spread < 0
+                        ? `${type} at ${hi.strike} priced above ${lo.strike}`
+                        : `${type} spread ${lo.strike}/${hi.strike} worth more than the strike gap`
+                });
+            }
+        }
+    }
+}
+
+function checkButterfly(chain, expiry, tol, out) {
+    for (const type of ['call', 'put']) {
+        const rows = chain.filter(row => priced(row, type));
+        for (let i = 1; i < rows.length - 1; i++) {
+            const [a, b, c] = [rows[i - 1], rows[i], rows[i + 1]];
+            const w = (c.strike - b.strike) / (c.strike - a.strike);
+            const interp = w * a[type].settle + (1 - w) * c[type].settle;
+            if (b[type].settle > interp + tol) {
+                const contracts = [a, b, c].map(row => contract(expiry, row, type));
+                out.push({
+                    kind: 'butterfly', expiry, type, contracts,
+                    suspect: contracts[1],
+                    amount: b[type].settle - interp,
+                    detail: `${type} at ${b.strike} above the ${a.strike}/${c.strike} line`
+                });
+            }
+        }
+    }
+}
+
+function checkCalendar(near, far, tol, out) {
+    const farRows = new Map(far.chain.map(row => [row.strike, row]));
+    for (const row of near.chain) {
+        const other = farRows.get(row.strike);
+        if (!other) continue;
+        for (const type of ['call', 'put']) {
+            if (!priced(row, type) || !priced(other, type)) continue;
+            if (other[type].settle < row[type].settle - tol) {
+                const contracts = [contract(near.expiry, row, type), contract(far.expiry, other, type)];
+                out.push({
+                    kind: 'calendar', expiry: far.expiry, type, contracts,
+                    suspect: leastHeld(contracts),
+                    amount: row[type].settle - other[type].settle,
+                    detail: `${type} ${row.strike} ${far.expiry} below ${near.expiry}`
+                });
+            }
+        }
+    }
+}
+
+function checkParity(chain, expiry, T, spot, r, carry, tol, out) {
+    const discount = Math.exp(-rateAt(r, T) * T);
+    const carrySpot = forwardPrice(spot, T, r, carry) * discount;
+    for (const row of chain) {
+        if (!priced(row, 'call') || !priced(row, 'put')) continue;
+        const diff = row.call.settle - row.put.settle;
+        const lower = carrySpot - row.strike;
+        const upper = spot - row.strike * discount;
+        const band = tol + SPOT_TOL * spot;
+        if (diff < lower - band || diff > upper + band) {
+            const contracts = [contract(expiry, row, 'call'), contract(expiry, row, 'put')];
+            out.push({
+                kind: 'parity', expiry, type: 'both', contracts,
+                suspect: leastHeld(contracts),
+                amount: diff < lower ? lower - diff : diff - upper,
+                detail: `C − P = ${diff.toFixed(3)} outside [${lower.toFixed(3)}, ${upper.toFixed(3)}]`
+            });
+        }
+    }
+}
+
+/**
+ * Scan every expiry of a stock on a date for static arbitrage
+ * @param {object} stockData - Per-stock DTOP JSON
+ * @param {string} date - Trading date (YYYY-MM-DD)
+ * @param {object} [opts] - { spot, r, q, borrow, dividends, tol, series }; the parity check
+ *   needs a spot independent of the chain (e.g. the underlying close) and is
+ *   skipped without one. series picks the DTOP series scanned (the standard
+ *   monthlies by default, null for all); calendars are checked within a series
+ *   and parity only on the monthlies, the series quoted against the spot
+ * @returns {object} - { violations, flagged, counts }: violations carry
+ *   { kind, expiry, type, contracts, suspect, amount, detail } with contracts as
+ *   { expiry, strike, type, settle, oi }; flagged is a Set of contractKey strings
+ *   for the suspects, counts tallies by kind
+ */
+export function checkArbitrage(stockData, date, opts = {}) {
+    const { spot = null, r = DEFAULT_RATE, tol = DEFAULT_TOL, series = STANDARD_SERIES, ...carry } = opts;
+    const violations = [];
+    const slices = getExpiries(stockData, date, series)
+        .map(expiry => ({
+            expiry,
+            series: getSeries(stockData, expiry),
+            T: yearFraction(expiryDate(expiry), date),
+            chain: getChain(stockData, date, expiry)
+        }))
+        .filter(s => s.T > 0 && s.chain.length > 0);
+
+    // Calendar spreads run between consecutive expiries of one series: a weekly
+    // doesn't stand between two monthlies, and an RMB chain isn't an HKD one
+    const lastInSeries = new Map();
+    for (const slice of slices) {
+        checkVertical(slice.chain, slice.expiry, tol, violations);
+        checkButterfly(slice.chain, slice.expiry, tol, violations);
+        const near = lastInSeries.get(slice.series);
+        if (near && near.T < slice.T) checkCalendar(near, slice, tol, violations);
+        lastInSeries.set(slice.series, slice);
+        if (spot && slice.series === STANDARD_SERIES) checkParity(slice.chain, slice.expiry, slice.T, spot, r, carry, tol, violations);
+    }
+
+    const flagged = new Set(violations.map(v => contractKey(v.suspect.expiry, v.suspect.strike, v.suspect.type)));
+    const counts = { vertical: 0, butterfly: 0, calendar: 0, parity: 0 };
+    for (const v of violations) counts[v.kind]++;
+    return { violations, flagged, counts };
+}
@@ -1,6 +1,22 @@
 /**
  * Black-Scholes pricing model and Greeks calculator
+ *
+ * HKEX stock options are American-style. Every pricing entry point takes an
+ * optional `opts` object: { exercise: 'american' | 'european', method: 'crr' | 'baw', steps }.
+ * American prices come from a CRR binomial tree (default) or the
+ * Barone-Adesi-Whaley quadratic approximation.
+ *
+ * Carry is passed the same way: { q, borrow, dividends }. `q` is a continuous
+ * dividend yield, `borrow` a stock borrow rate (both reduce the forward), and
+ * `dividends` a discrete schedule [{ amount, t }] with t in years to ex-date,
+ * handled with the escrowed-dividend model.
+ *
+ * `r` is either a flat rate or a rates.js curve, read at each option's own
+ * time to expiry. T is in trading-time years (calendar.js yearFraction), so
+ * theta, charm and color are per trading day.
  */
+import { rateAt } from './rates.js';
+import { yearFraction, TRADING_DAYS_PER_YEAR } from './calendar.js';
 
 // Standard normal CDF (Abramowitz & Stegun approximation)
 function normcdf(x) {
@@ -18,92 +34,484 @@ function normpdf(x) {
     return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
 }
 
+// ============ Carry ============
+
+// Continuous carry yield: dividend yield plus borrow cost
+function carryYield(opts) {
+    return (opts.q || 0) + (opts.borrow || 0);
+}
+
+// Present value at time `from` of discrete dividends going ex in (from, T]
+export function pvDividends(dividends, T, r, from = 0) {
+    if (!dividends || dividends.length === 0) return 0;
+    let pv = 0;
+    for (const div of dividends) {
+        if (div.t > from && div.t <= T) pv += div.amount * Math.exp(-r * (div.t - from));
+    }
+    return pv;
+}
+
+/**
+ * Convert a cash dividend schedule to pricing form
+ * @param {Array<{amount: number, exDate: string}>} dividends
+ * @param {string} [fromDate] - Valuation date (defaults to today)
+ * @returns {Array<{amount: number, t: number}>} - Upcoming dividends, t in trading-time years
+ */
+export function dividendSchedule(dividends, fromDate) {
+    if (!dividends) return [];
+    return dividends
+        .filter(d => d.amount > 0 && d.exDate)
+        .map(d => ({ amount: d.amount, t: yearFraction(d.exDate, fromDate) }))
+        .filter(d => d.t > 0)
+        .sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Forward price of the underlying to time T under the given carry
+ * @param {object} [opts] - Carry: { q, borrow, dividends }
+ */
+export function forwardPrice(S, T, r, opts = {}) {
+    r = rateAt(r, T);
+    return (S - pvDividends(opts.dividends, T, r)) * Math.exp((r - carryYield(opts)) * T);
+}
+
+/**
+ * Spot consistent with a forward price to time T — the inverse of forwardPrice
+ * @param {object} [opts] - Carry: { q, borrow, dividends }
+ */
+export function spotFromForward(F, T, r, opts = {}) {
+    r = rateAt(r, T);
+    return F * Math.exp(-(r - carryYield(opts)) * T) + pvDividends(opts.dividends, T, r);
+}
+
 /**
  * Black-Scholes option price
  * @param {number} S - Current stock price
  * @param {number} K - Strike price
  * @param {number} T - Time to expiry in years
- * @param {number} r - Risk-free rate
+ * @param {number|object} r - Risk-free rate, or a rates.js curve
  * @param {number} sigma - Volatility
  * @param {string} type - 'call' or 'put'
+ * @param {object} [opts] - Carry: { q, borrow, dividends }
  */
-export function blackScholes(S, K, T, r, sigma, type = 'call') {
+export function blackScholes(S, K, T, r, sigma, type = 'call', opts = {}) {
     if (T <= 0 || sigma <= 0 || S <= 0 || K <= 0) return 0;
+    r = rateAt(r, T);
+
+    S -= pvDividends(opts.dividends, T, r);
+    if (S <= 0) return type === 'call' ? 0 : K * Math.exp(-r * T);
+    const q = carryYield(opts);
 
-    const d1 = (Math.log(S / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
+    const d1 = (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
     const d2 = d1 - sigma * Math.sqrt(T);
 
     if (type === 'call') {
-        return S * normcdf(d1) - K * Math.exp(-r * T) * normcdf(d2);
+        return S * Math.exp(-q * T) * normcdf(d1) - K * Math.exp(-r * T) * normcdf(d2);
     } else {
-        return K * Math.exp(-r * T) * normcdf(-d2) - S * normcdf(-d1);
+        return K * Math.exp(-r * T) * normcdf(-d2) - S * Math.exp(-q * T) * normcdf(-d1);
     }
 }
 
+export const GREEK_KEYS = ['delta', 'gamma', 'theta', 'vega', 'rho', 'vanna', 'volga', 'charm', 'speed', 'color', 'zomma'];
+
+function zeroGreeks() {
+    return Object.fromEntries(GREEK_KEYS.map(k => [k, 0]));
+}
+
 /**
  * Calculate Greeks
+ *
+ * Units: theta, charm and color per trading day; vega, rho, vanna and zomma
+ * per 1 vol/rate point; volga is the change in (per-point) vega per vol point.
+ *   vanna = ∂Δ/∂σ   volga = ∂ν/∂σ   charm = ∂Δ/∂t
+ *   speed = ∂Γ/∂S   color = ∂Γ/∂t   zomma = ∂Γ/∂σ
+ *
+ * @param {object} [opts] - { exercise, method, steps, q, borrow, dividends } — see optionPrice
  */
-export function greeks(S, K, T, r, sigma, type = 'call') {
-    if (T <= 0 || sigma <= 0 || S <= 0 || K <= 0) {
-        return { delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
-    }
+export function greeks(S, K, T, r, sigma, type = 'call', opts = {}) {
+    if (T <= 0 || sigma <= 0 || S <= 0 || K <= 0) return zeroGreeks();
+    r = rateAt(r, T);
+    if (opts.exercise === 'american') return americanGreeks(S, K, T, r, sigma, type, opts);
 
-    const d1 = (Math.log(S / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
-    const d2 = d1 - sigma * Math.sqrt(T);
+    // Escrowed dividends shift the spot; dS'/dS = 1 so Greeks carry over
+    S -= pvDividends(opts.dividends, T, r);
+    if (S <= 0) return zeroGreeks();
+    const q = carryYield(opts);
+
+    const sqrtT = Math.sqrt(T);
+    const d1 = (Math.log(S / K) + (r - q + 0.5 * sigma * sigma) * T) / (sigma * sqrtT);
+    const d2 = d1 - sigma * sqrtT;
     const nd1 = normpdf(d1);
+    const dq = Math.exp(-q * T);
 
-    let delta, theta, rho;
+    let delta, theta, rho, charm;
+    // Shared term of the delta and gamma time decay
+    const drift = (2 * (r - q) * T - d2 * sigma * sqrtT) / (2 * T * sigma * sqrtT);
 
     if (type === 'call') {
-        delta = normcdf(d1);
-        theta = (-S * nd1 * sigma / (2 * Math.sqrt(T)) - r * K * Math.exp(-r * T) * normcdf(d2)) / 365;
+        delta = dq * normcdf(d1);
+        theta = (-S * dq * nd1 * sigma / (2 * sqrtT) - r * K * Math.exp(-r * T) * normcdf(d2) +
+            q * S * dq * normcdf(d1)) / TRADING_DAYS_PER_YEAR;
         rho = K * T * Math.exp(-r * T) * normcdf(d2) / 100;
+        charm = (q * dq * normcdf(d1) - dq * nd1 * drift) / TRADING_DAYS_PER_YEAR;
     } else {
-        delta = normcdf(d1) - 1;
-        theta = (-S * nd1 * sigma / (2 * Math.sqrt(T)) + r * K * Math.exp(-r * T) * normcdf(-d2)) / 365;
+        delta = dq * (normcdf(d1) - 1);
+        theta = (-S * dq * nd1 * sigma / (2 * sqrtT) + r * K * Math.exp(-r * T) * normcdf(-d2) -
+            q * S * dq * normcdf(-d1)) / TRADING_DAYS_PER_YEAR;
         rho = -K * T * Math.exp(-r * T) * normcdf(-d2) / 100;
+        charm = (-q * dq * normcdf(-d1) - dq * nd1 * drift) / TRADING_DAYS_PER_YEAR;
     }
 
-    const gamma = nd1 / (S * sigma * Math.sqrt(T));
-    const vega = S * nd1 * Math.sqrt(T) / 100;
+    const gamma = dq * nd1 / (S * sigma * sqrtT);
+    const vega = S * dq * nd1 * sqrtT / 100;
 
-    return { delta, gamma, theta, vega, rho };
+    const vanna = -dq * nd1 * d2 / sigma / 100;
+    const volga = vega * d1 * d2 / sigma / 100;
+    const speed = -gamma / S * (d1 / (sigma * sqrtT) + 1);
+    const color = dq * nd1 / (2 * S * T * sigma * sqrtT) *
+        (2 * q * T + 1 + (2 * (r - q) * T - d2 * sigma * sqrtT) * d1 / (sigma * sqrtT)) / TRADING_DAYS_PER_YEAR;
+    const zomma = gamma * (d1 * d2 - 1) / sigma / 100;
+
+    return { delta, gamma, theta, vega, rho, vanna, volga, charm, speed, color, zomma };
 }
 
+const IV_MIN = 0.001;
+const IV_MAX = 5;
+
 /**
- * Implied volatility solver (Newton-Raphson)
+ * Implied volatility solver — safeguarded Newton-Raphson inside a bisection bracket
+ *
+ * Status codes:
+ *   converged       — iv reproduces the price within tolerance
+ *   below_intrinsic — price is below the no-arbitrage floor (discounted forward
+ *                     intrinsic; for American exercise also immediate intrinsic)
+ *   above_max       — price exceeds the value at IV_MAX
+ *   no_vega         — price sits on the floor where vega vanishes, so iv is not identified
+ *   invalid_input   — non-positive price, spot, strike or time
+ *   not_converged   — iteration budget exhausted
+ *
+ * @param {object} [opts] - { exercise, method, steps, q, borrow, dividends } — see optionPrice,
+ *   plus { tol, maxIter } for the solver
+ * @returns {{ iv: number, status: string, iterations: number }} - iv is NaN unless converged
  */
-export function impliedVolatility(marketPrice, S, K, T, r, type = 'call') {
-    if (T <= 0 || marketPrice <= 0) return NaN;
+export function impliedVolatility(marketPrice, S, K, T, r, type = 'call', opts = {}) {
+    if (!(T > 0 && marketPrice > 0 && S > 0 && K > 0)) {
+        return { iv: NaN, status: 'invalid_input', iterations: 0 };
+    }
+    r = rateAt(r, T);
 
+    const tol = opts.tol ?? Math.max(1e-6, marketPrice * 1e-6);
+    const maxIter = opts.maxIter ?? 100;
+    const price = sigma => optionPrice(S, K, T, r, sigma, type, opts);
+
+    // Analytic floor, so a pricer misbehaving at IV_MIN can't reject a valid quote
+    const F = forwardPrice(S, T, r, opts);
+    let floor = Math.exp(-r * T) * Math.max(0, type === 'call' ? F - K : K - F);
+    if (opts.exercise === 'american') floor = Math.max(floor, type === 'call' ? S - K : K - S);
+    if (marketPrice < floor - tol) return { iv: NaN, status: 'below_intrinsic', iterations: 0 };
+    // The value at IV_MIN is only the bracket's lower end
+    if (marketPrice <= Math.max(floor, price(IV_MIN)) + tol) return { iv: NaN, status: 'no_vega', iterations: 0 };
+    if (marketPrice > price(IV_MAX) + tol) return { iv: NaN, status: 'above_max', iterations: 0 };
+
+    let lo = IV_MIN, hi = IV_MAX;
     let sigma = 0.3; // Initial guess
 
+    for (let i = 1; i <= maxIter; i++) {
+        const diff = price(sigma) - marketPrice;
+        if (Math.abs(diff) < tol) return { iv: sigma, status: 'converged', iterations: i };
+
+        // Price is increasing in sigma, so the sign of diff tightens the bracket
+        if (diff > 0) hi = sigma; else lo = sigma;
+        if (hi - lo < 1e-10) return { iv: sigma, status: 'converged', iterations: i };
+
+        const vega = opts.exercise === 'american'
+            ? (price(sigma + 0.005) - price(Math.max(IV_MIN, sigma - 0.005))) / (sigma + 0.005 - Math.max(IV_MIN, sigma - 0.005))
+            : greeks(S, K, T, r, sigma, type, opts).vega * 100;
+        const newton = vega > 1e-8 ? sigma - diff / vega : NaN;
+        // Fall back to bisection when Newton leaves the bracket or vega vanishes
+        sigma = newton > lo && newton < hi ? newton : 0.5 * (lo + hi);
+    }
+
+    return { iv: NaN, status: 'not_converged', iterations: maxIter };
+}
+
+// ============ American exercise ============
+
+const DEFAULT_STEPS = 200;
+const MAX_STEPS = 1000;  // beyond this a tree is too slow; near-zero vols use the deterministic limit
+
+/**
+ * Option price with selectable exercise style
+ * @param {object} [opts]
+ * @param {string} [opts.exercise='european'] - 'american' or 'european'
+ * @param {string} [opts.method='crr'] - American method: 'crr' (binomial tree) or 'baw'
+ * @param {number} [opts.steps=200] - Binomial tree steps
+ * @param {number} [opts.q=0] - Continuous dividend yield
+ * @param {number} [opts.borrow=0] - Stock borrow rate
+ * @param {Array<{amount: number, t: number}>} [opts.dividends] - Discrete dividends
+ */
+export function optionPrice(S, K, T, r, sigma, type = 'call', opts = {}) {
+    r = rateAt(r, T);
+    if (opts.exercise !== 'american') return blackScholes(S, K, T, r, sigma, type, opts);
+    if (opts.method === 'baw') return baroneAdesiWhaley(S, K, T, r, sigma, type, opts);
+    return binomialPrice(S, K, T, r, sigma, type, opts);
+}
+
+// Delta, gamma and theta from the first nodes of a tree (Hull's method)
+function nodeGreeks(price, level1, level2, S0, u, d, dt) {
+    if (!level1 || !level2) return { price, delta: 0, gamma: 0, theta: 0 };
+    const Su = S0 * u, Sd = S0 * d, Suu = S0 * u * u, Sdd = S0 * d * d;
+    const delta = (level1[0] - level1[1]) / (Su - Sd);
+    const deltaUp = (level2[0] - level2[1]) / (Suu - S0);
+    const deltaDown = (level2[1] - level2[2]) / (S0 - Sdd);
+    const gamma = (deltaUp - deltaDown) / (0.5 * (Suu - Sdd));
+    const theta = (level2[1] - price) / (2 * dt) / TRADING_DAYS_PER_YEAR;
+    return { price, delta, gamma, theta };
+}
+
+/**
+ * Cox-Ross-Rubinstein tree. Rolls back American and European values on the
+ * same lattice so the European leg can serve as a control variate.
+ * Discrete dividends use the escrowed model: the tree runs on S less the PV
+ * of dividends, which is added back at each node for the exercise decision.
+ */
+function crrTree(S, K, T, r, sigma, type, steps, opts) {
+    const dt = T / steps;
+    const u = Math.exp(sigma * Math.sqrt(dt));
+    const d = 1 / u;
+    const disc = Math.exp(-r * dt);
+    const p = (Math.exp((r - carryYield(opts)) * dt) - d) / (u - d);
+    const payoff = type === 'call' ? (s => Math.max(0, s - K)) : (s => Math.max(0, K - s));
+    const divs = opts.dividends;
+    const S0 = S - pvDividends(divs, T, r);
+    if (S0 <= 0) {
+        const zero = { price: 0, delta: 0, gamma: 0, theta: 0 };
+        return { american: zero, european: zero };
+    }
+
+    // Node price at step n with j down moves is S0·u^(n−2j); index the powers by n−2j+steps
+    const powers = new Float64Array(2 * steps + 1);
+    for (let k = 0; k <= 2 * steps; k++) powers[k] = Math.pow(u, k - steps);
+
+    // Terminal nodes, index j = number of down moves
+    const am = new Float64Array(steps + 1);
+    const eu = new Float64Array(steps + 1);
+    for (let j = 0; j <= steps; j++) {
+        am[j] = eu[j] = payoff(S0 * powers[2 * steps - 2 * j]);
+    }
+
+    let am1 = null, am2 = null, eu1 = null, eu2 = null;
+    for (let n = steps - 1; n >= 0; n--) {
+        const pvRemaining = pvDividends(divs, T, r, n * dt);
+        for (let j = 0; j <= n; j++) {
+            const cont = disc * (p * am[j] + (1 - p) * am[j + 1]);
+            am[j] = Math.max(cont, payoff(S0 * powers[n - 2 * j + steps] + pvRemaining));
+            eu[j] = disc * (p * eu[j] + (1 - p) * eu[j + 1]);
+        }
+        if (n === 2) { am2 = [am[0], am[1], am[2]]; eu2 = [eu[0], eu[1], eu[2]]; }
+        if (n === 1) { am1 = [am[0], am[1]]; eu1 = [eu[0], eu[1]]; }
+    }
+
+    return {
+        american: nodeGreeks(am[0], am1, am2, S0, u, d, dt),
+        european: nodeGreeks(eu[0], eu1, eu2, S0, u, d, dt)
+    };
+}
+
+/**
+ * σ → 0 limit of an American option: the stock follows its forward, so the
+ * value is the best discounted payoff over the exercise dates
+ */
+function deterministicAmerican(S, K, T, r, type, steps, opts) {
+    const b = r - carryYield(opts);
+    const S0 = S - pvDividends(opts.dividends, T, r);
+    const payoff = type === 'call' ? (s => Math.max(0, s - K)) : (s => Math.max(0, K - s));
+    let best = 0;
+    for (let n = 0; n <= steps; n++) {
+        const t = T * n / steps;
+        const s = S0 * Math.exp(b * t) + pvDividends(opts.dividends, T, r, t);
+        best = Math.max(best, Math.exp(-r * t) * payoff(s));
+    }
+    return best;
+}
+
+/**
+ * Control-variate CRR: American tree + (closed-form European − European tree).
+ * Cancels most of the lattice error, which keeps prices smooth in S, σ and T
+ * so they can be differenced for higher-order Greeks.
+ *
+ * The up-probability p = (e^{(r−q)dt} − d)/(u − d) leaves [0, 1] when
+ * σ√dt < |r − q|·dt, and the rollback then blows up; the step count is raised
+ * until p is a probability, and vols too small for MAX_STEPS take the
+ * deterministic limit.
+ */
+function crrControlVariate(S, K, T, r, sigma, type, opts) {
+    const carry = { q: opts.q, borrow: opts.borrow, dividends: opts.dividends };
+    const exact = greeks(S, K, T, r, sigma, type, carry);
+    const intrinsic = type === 'call' ? Math.max(0, S - K) : Math.max(0, K - S);
+
+    const b = r - carryYield(opts);
+    const minSteps = Math.ceil(1.01 * T * b * b / (sigma * sigma)) + 1;
+    if (minSteps > MAX_STEPS) {
+        const price = Math.max(intrinsic, blackScholes(S, K, T, r, sigma, type, carry),
+            deterministicAmerican(S, K, T, r, type, opts.steps || DEFAULT_STEPS, opts));
+        return { price, delta: exact.delta, gamma: exact.gamma, theta: exact.theta };
+    }
+    const steps = Math.max(3, opts.steps || DEFAULT_STEPS, minSteps);
+    const { american, european } = crrTree(S, K, T, r, sigma, type, steps, opts);
+
+    return {
+        price: Math.max(intrinsic, american.price - european.price + blackScholes(S, K, T, r, sigma, type, carry)),
+        delta: american.delta - european.delta + exact.delta,
+        gamma: american.gamma - european.gamma + exact.gamma,
+        theta: american.theta - european.theta + exact.theta
+    };
+}
+
+/**
+ * American option price via CRR binomial tree (with European control variate)
+ * @param {object} [opts] - { steps, q, borrow, dividends }
+ */
+export function binomialPrice(S, K, T, r, sigma, type = 'call', opts = {}) {
+    if (T <= 0 || sigma <= 0 || S <= 0 || K <= 0) return 0;
+    r = rateAt(r, T);
+    return crrControlVariate(S, K, T, r, sigma, type, opts).price;
+}
+
+/**
+ * Solve for the BAW critical stock price above (call) / below (put) which
+ * immediate exercise is optimal.
+ */
+function bawCriticalPrice(K, T, r, sigma, type, q) {
+    const b = r - q;
+    const v2 = sigma * sigma;
+    const sqrtT = Math.sqrt(T);
+    const N = 2 * b / v2;
+    const m = 2 * r / v2;
+    const kk = 1 - Math.exp(-r * T);
+    const carry = Math.exp((b - r) * T);
+    const d1 = s => (Math.log(s / K) + (b + 0.5 * v2) * T) / (sigma * sqrtT);
+    const european = s => blackScholes(s, K, T, r, sigma, type, { q });
+
+    if (type === 'call') {
+        const q2u = (-(N - 1) + Math.sqrt((N - 1) ** 2 + 4 * m)) / 2;
+        const su = K / (1 - 1 / q2u);
+        const h2 = -(b * T + 2 * sigma * sqrtT) * K / (su - K);
+        const q2 = (-(N - 1) + Math.sqrt((N - 1) ** 2 + 4 * m / kk)) / 2;
+        let si = K + (su - K) * (1 - Math.exp(h2));
+
+        for (let i = 0; i < 100; i++) {
+            const rhs = european(si) + (1 - carry * normcdf(d1(si))) * si / q2;
+            if (Math.abs(si - K - rhs) / K < 1e-6) break;
+            const bi = carry * normcdf(d1(si)) * (1 - 1 / q2) +
+                (1 - carry * normpdf(d1(si)) / (sigma * sqrtT)) / q2;
+            si = (K + rhs - bi * si) / (1 - bi);
+        }
+        return { critical: si, q: q2, carry, d1: d1(si) };
+    }
+
+    const q1u = (-(N - 1) - Math.sqrt((N - 1) ** 2 + 4 * m)) / 2;
+    const su = K / (1 - 1 / q1u);
+    const h1 = (b * T - 2 * sigma * sqrtT) * K / (K - su);
+    const q1 = (-(N - 1) - Math.sqrt((N - 1) ** 2 + 4 * m / kk)) / 2;
+    let si = su + (K - su) * Math.exp(h1);
+
     for (let i = 0; i < 100; i++) {
-        const price = blackScholes(S, K, T, r, sigma, type);
-        const diff = price - marketPrice;
+        const rhs = european(si) - (1 - carry * normcdf(-d1(si))) * si / q1;
+        if (Math.abs(K - si - rhs) / K < 1e-6) break;
+        const bi = -carry * normcdf(-d1(si)) * (1 - 1 / q1) -
+            (1 + carry * normpdf(-d1(si)) / (sigma * sqrtT)) / q1;
+        si = (K - rhs + bi * si) / (1 + bi);
+    }
+    return { critical: si, q: q1, carry, d1: d1(si) };
+}
+
+/**
+ * American option price via Barone-Adesi-Whaley quadratic approximation
+ * @param {object} [opts] - { q, borrow, dividends } (discrete dividends fall back to the tree)
+ */
+export function baroneAdesiWhaley(S, K, T, r, sigma, type = 'call', opts = {}) {
+    if (T <= 0 || sigma <= 0 || S <= 0 || K <= 0) return 0;
+    r = rateAt(r, T);
 
-        if (Math.abs(diff) < 0.0001) return sigma;
+    // The quadratic approximation assumes continuous carry and degenerates at
+    // r <= 0; discrete dividends and negative rates go to the tree instead
+    if (r <= 0 || pvDividends(opts.dividends, T, r) > 0) return binomialPrice(S, K, T, r, sigma, type, opts);
 
-        // Vega
-        const d1 = (Math.log(S / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
-        const vega = S * normpdf(d1) * Math.sqrt(T);
+    const q = carryYield(opts);
+    const european = blackScholes(S, K, T, r, sigma, type, opts);
+    // Without a carry yield an American call is never exercised early
+    if (type === 'call' && q <= 0) return european;
 
-        if (vega < 0.0001) break; // avoid division by near-zero
+    const { critical, q: exponent, carry, d1 } = bawCriticalPrice(K, T, r, sigma, type, q);
+    // At near-zero vols the exponents overflow and the critical price is lost
+    if (!Number.isFinite(critical) || !Number.isFinite(exponent)) return binomialPrice(S, K, T, r, sigma, type, opts);
 
-        sigma -= diff / vega;
-        if (sigma <= 0.001) sigma = 0.001;
-        if (sigma > 5) sigma = 5;
+    if (type === 'call') {
+        if (S >= critical) return S - K;
+        const A2 = (critical / exponent) * (1 - carry * normcdf(d1));
+        return european + A2 * Math.pow(S / critical, exponent);
     }
 
-    return sigma;
+    if (S <= critical) return K - S;
+    const A1 = -(critical / exponent) * (1 - carry * normcdf(-d1));
+    return european + A1 * Math.pow(S / critical, exponent);
 }
 
 /**
- * Calculate days until expiry
+ * First-order Greeks for American options. The CRR tree supplies delta/gamma/theta
+ * from its first nodes; everything else (and all BAW Greeks) use central differences.
  */
-export function daysToExpiry(expiryStr, fromDate) {
-    const exp = new Date(expiryStr);
-    const from = fromDate ? new Date(fromDate) : new Date();
-    const diffMs = exp - from;
-    return Math.max(0, Math.ceil(diffMs / (1000 * 60 * 60 * 24)));
+function americanFirstOrder(S, K, T, r, sigma, type, opts) {
+    const price = (s, t, rate, vol) => optionPrice(s, K, t, rate, vol, type, opts);
+
+    let delta, gamma, theta;
+    if (opts.method === 'baw') {
+        const h = S * 0.001;
+        const p0 = price(S, T, r, sigma);
+        const pUp = price(S + h, T, r, sigma);
+        const pDown = price(S - h, T, r, sigma);
+        delta = (pUp - pDown) / (2 * h);
+        gamma = (pUp - 2 * p0 + pDown) / (h * h);
+        const dt = Math.min(1 / TRADING_DAYS_PER_YEAR, T / 2);
+        theta = (price(S, T - dt, r, sigma) - p0) / dt / TRADING_DAYS_PER_YEAR;
+    } else {
+        ({ delta, gamma, theta } = crrControlVariate(S, K, T, r, sigma, type, opts));
+    }
+
+    const dv = 0.01;
+    const vega = (price(S, T, r, sigma + dv) - price(S, T, r, Math.max(1e-4, sigma - dv))) /
+        (sigma + dv - Math.max(1e-4, sigma - dv)) / 100;
+    const dr = 0.0001;
+    const rho = (price(S, T, r + dr, sigma) - price(S, T, r - dr, sigma)) / (2 * dr) / 100;
+
+    return { delta, gamma, theta, vega, rho };
+}
+
+// Higher-order American Greeks by differencing the first-order ones
+function americanGreeks(S, K, T, r, sigma, type, opts) {
+    const first = (s, t, vol) => americanFirstOrder(s, K, t, r, vol, type, opts);
+    const base = first(S, T, sigma);
+
+    const dv = 0.01;
+    const volUp = first(S, T, sigma + dv);
+    const volDown = first(S, T, Math.max(1e-4, sigma - dv));
+    const volSpan = (sigma + dv - Math.max(1e-4, sigma - dv)) * 100;
+
+    const h = S * 0.01;
+    const spotUp = first(S + h, T, sigma);
+    const spotDown = first(S - h, T, sigma);
+
+    const dt = 1 / TRADING_DAYS_PER_YEAR;
+    const later = T > dt ? first(S, T - dt, sigma) : base;
+
+    return {
+        ...base,
+        vanna: (volUp.delta - volDown.delta) / volSpan,
+        volga: (volUp.vega - volDown.vega) / volSpan,
+        charm: later.delta - base.delta,
+        speed: (spotUp.gamma - spotDown.gamma) / (2 * h),
+        color: later.gamma - base.gamma,
+        zomma: (volUp.gamma - volDown.gamma) / volSpan
+    };
 }
@@ -0,0 +1,162 @@
+/**
+ * Persistent Data Cache
+ * IndexedDB store for the JSON files under /data, so a reload doesn't
+ * re-download multi-megabyte stock files. Entries are keyed by URL and tagged
+ * with the data build they came from; when the build changes every older
+ * entry is dropped. Total size is capped at MAX_BYTES, evicting the least
+ * recently used files first. Files outside the manifest (prices, news,
+ * screener, rates) are rebuilt without changing the build id, so they are
+ * loaded with { persist: false } and always come from the network.
+ *
+ * Without IndexedDB (private browsing, blocked storage) every call falls
+ * through to the network.
+ */
+
+const DB_NAME = 'hk-options-cache';
+const DB_VERSION = 1;
+const STORE = 'files';
+const MAX_BYTES = 150 * 1024 * 1024;
+
+let dbPromise = null;
+let currentBuild = null;
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function openDB() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') return resolve(null);
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const store = req.result.createObjectStore(STORE, { keyPath: 'key' });
+            store.createIndex('lastAccess', 'lastAccess');
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+    });
+    return dbPromise;
+}
+
+async function withStore(mode, fn) {
+    const db = await openDB();
+    if (!db) return null;
+    try {
+        const tx = db.transaction(STORE, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        const result = await fn(tx.objectStore(STORE));
+        await done;
+        return result;
+    } catch (err) {
+        console.warn('⚠️ Data cache unavailable:', err);
+        return null;
+    }
+}
+
+/**
+ * FNV-1a hash of a string, as 8 hex digits — a cheap build fingerprint
+ */
+export function hashText(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Set the data build that cached files must match; entries from any other
+ * build are deleted
+ */
+export async function setCacheBuild(build) {
+    currentBuild = build;
+    await withStore('readwrite', async store => {
+        const entries = await request(store.getAll());
+        for (const e of entries) if (e.build !== build) store.delete(e.key);
+    });
+}
+
+// Drop least recently used entries until the store fits MAX_BYTES
+async function evict() {
+    await withStore('readwrite', async store => {
+        const entries = await request(store.index('lastAccess').getAll());
+        let total = entries.reduce((s, e) => s + e.size, 0);
+        for (const e of entries) {
+            if (total <= MAX_BYTES) break;
+            store.delete(e.key);
+            total -= e.size;
+        }
+    });
+}
+
+/**
+ * Fetch a JSON file through the cache
+ * @param {string} url - e.g. '/data/ALB.json'
+ * @param {object} [opts] - { verify, persist }: verify is an async check of the
+ *   downloaded text, files that fail it are still returned but not kept; persist
+ *   false skips the store entirely (and revalidates the HTTP cache)
+ * @returns {Promise<object>} - Parsed JSON; throws when the network fetch fails
+ *   and no entry for the current build is cached (with err.status set for HTTP errors)
+ */
+export async function cachedJSON(url, opts = {}) {
+    const persist = opts.persist !== false;
+    const hit = persist && await withStore('readwrite', async store => {
+        const entry = await request(store.get(url));
+        if (!entry || entry.build !== currentBuild) return null;
+        entry.lastAccess = Date.now();
+        store.put(entry);
+        return entry;
+    });
+    if (hit) return hit.data;
+
+    const res = await fetch(url, persist ? undefined : { cache: 'no-cache' });
+    if (!res.ok) throw Object.assign(new Error(`Failed to load ${url} (${res.status})`), { status: res.status });
+    const text = await res.text();
+    const data = JSON.parse(text);
+    const verified = opts.verify ? await opts.verify(text) : true;
+
+    // Only files that belong to a known build are worth keeping
+    if (persist && verified && currentBuild !== null && text.length <= MAX_BYTES) {
+        await withStore('readwrite', store =>
+            store.put({ key: url, build: currentBuild, data, size: text.length, lastAccess: Date.now() }));
+        await evict();
+    }
+    return data;
+}
+
+/**
+ * What the cache holds
+ * @returns {Promise<object>} - { available, build, entries, bytes, maxBytes, files } with
+ *   files as { key, size, lastAccess }, most recently used first
+ */
+export async function cacheStats() {
+    const entries = await withStore('readonly', store => request(store.getAll()));
+    const files = (entries || [])
+        .map(({ key, size, lastAccess }) => ({ key, size, lastAccess }))
+        .sort((a, b) => b.lastAccess - a.lastAccess);
+    return {
+        available: entries !== null,
+        build: currentBuild,
+        entries: files.length,
+        bytes: files.reduce((s, f) => s + f.size, 0),
+        maxBytes: MAX_BYTES,
+        files
+    };
+}
+
+/**
+ * Delete every cached file
+ */
+export async function clearCache() {
+    await withStore('readwrite', store => request(store.clear()));
+}
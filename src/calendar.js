@@ -0,0 +1,160 @@
+/**
+ * HKEX Trading Calendar
+ * Business-day arithmetic for the Hong Kong market: weekends, exchange
+ * holidays and half-day sessions, plus the stock option expiry rule.
+ *
+ * Option pricing runs on a trading-time clock: T is trading days to expiry
+ * over TRADING_DAYS_PER_YEAR, with half-days counted as HALF_DAY_WEIGHT, so
+ * Lunar New Year and other closures carry no variance. The constant is the
+ * average HKEX session count, so a full year still comes to T ≈ 1 and rates
+ * quoted per annum discount on the same clock.
+ *
+ * Dates are 'YYYY-MM-DD' strings throughout, handled in UTC.
+ */
+
+export const TRADING_DAYS_PER_YEAR = 245;
+const HALF_DAY_WEIGHT = 0.5;   // morning session only
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weekday exchange closures. Years outside the table fall back to weekends only,
+// with a one-off warning (see coverage below); extend it with each HKEX circular.
+const HOLIDAYS = new Set([
+    // 2025
+    '2025-01-01', '2025-01-29', '2025-01-30', '2025-01-31', '2025-04-04', '2025-04-18',
+    '2025-04-21', '2025-05-01', '2025-05-05', '2025-07-01', '2025-10-01', '2025-10-07',
+    '2025-10-29', '2025-12-25', '2025-12-26',
+    // 2026
+    '2026-01-01', '2026-02-17', '2026-02-18', '2026-02-19', '2026-04-03', '2026-04-06',
+    '2026-04-07', '2026-05-01', '2026-05-25', '2026-06-19', '2026-07-01', '2026-10-01',
+    '2026-10-19', '2026-12-25',
+    // 2027
+    '2027-01-01', '2027-02-08', '2027-02-09', '2027-03-26', '2027-03-29', '2027-04-05',
+    '2027-05-13', '2027-06-09', '2027-07-01', '2027-09-16', '2027-10-01', '2027-10-08',
+    '2027-12-27'
+]);
+
+// Morning-only sessions: Lunar New Year's Eve, Christmas Eve and New Year's Eve
+const HALF_DAYS = new Set([
+    '2025-01-28', '2025-12-24', '2025-12-31',
+    '2026-02-16', '2026-12-24', '2026-12-31',
+    '2027-02-05', '2027-12-24', '2027-12-31'
+]);
+
+export const CALENDAR_YEARS = [2025, 2026, 2027];
+
+const warnedYears = new Set();
+
+/**
+ * Warn once per year when a date falls outside the holiday table, where
+ * every weekday counts as a full session and T runs long
+ */
+function coverage(date) {
+    const year = Number(date.slice(0, 4));
+    if (CALENDAR_YEARS.includes(year) || warnedYears.has(year)) return;
+    warnedYears.add(year);
+    console.warn(`⚠️ No HKEX holiday calendar for ${year}; treating every weekday as a trading day`);
+}
+
+function toDate(str) {
+    return str ? new Date(`${str}T00:00:00Z`) : new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+}
+
+function toStr(d) {
+    return d.toISOString().slice(0, 10);
+}
+
+function shift(str, days) {
+    return toStr(new Date(toDate(str).getTime() + days * DAY_MS));
+}
+
+/**
+ * Whether HKEX trades on a date
+ */
+export function isTradingDay(date) {
+    coverage(date);
+    const dow = toDate(date).getUTCDay();
+    return dow !== 0 && dow !== 6 && !HOLIDAYS.has(date);
+}
+
+/**
+ * Whether a date is a morning-only session
+ */
+export function isHalfDay(date) {
+    return HALF_DAYS.has(date) && isTradingDay(date);
+}
+
+// Trading weight of one date: 1, HALF_DAY_WEIGHT or 0
+function sessionWeight(date) {
+    if (!isTradingDay(date)) return 0;
+    return HALF_DAYS.has(date) ? HALF_DAY_WEIGHT : 1;
+}
+
+/**
+ * Calendar days from one date to another (0 once the second has passed)
+ * @param {string} expiryStr - Target date
+ * @param {string} [fromDate] - Start date (defaults to today)
+ */
+export function daysToExpiry(expiryStr, fromDate) {
+    const diff = (toDate(expiryStr) - toDate(fromDate)) / DAY_MS;
+    return Math.max(0, Math.ceil(diff));
+}
+
+/**
+ * Trading sessions after `from` up to and including `to`; half-days count as
+ * HALF_DAY_WEIGHT. An option on its expiry day has 0 left.
+ * @param {string} [from] - Start date (defaults to today)
+ */
+export function tradingDays(to, from) {
+    const start = from || toStr(toDate());
+    let days = 0;
+    for (let d = shift(start, 1); d <= to; d = shift(d, 1)) days += sessionWeight(d);
+    return days;
+}
+
+/**
+ * Trading-time year fraction to a date — the T used for option pricing
+ * @param {string} to - Expiry or horizon date
+ * @param {string} [from] - Valuation date (defaults to today)
+ */
+export function yearFraction(to, from) {
+    return tradingDays(to, from) / TRADING_DAYS_PER_YEAR;
+}
+
+/**
+ * The trading day n sessions after a date (n may be negative)
+ */
+export function addTradingDays(date, n) {
+    const step = n < 0 ? -1 : 1;
+    let d = date;
+    for (let left = Math.abs(n); left > 0;) {
+        d = shift(d, step);
+        if (isTradingDay(d)) left--;
+    }
+    return d;
+}
+
+/**
+ * The next n trading days after a date — forecast date labels
+ * @returns {string[]}
+ */
+export function nextTradingDays(date, n) {
+    const out = [];
+    let d = date;
+    while (out.length < n) {
+        d = addTradingDays(d, 1);
+        out.push(d);
+    }
+    return out;
+}
+
+/**
+ * HKEX stock option expiry for a month: the business day immediately
+ * preceding the last business day of the month
+ * @param {number} year
+ * @param {number} month - 1-12
+ */
+export function monthlyExpiry(year, month) {
+    const monthEnd = toStr(new Date(Date.UTC(year, month, 0)));
+    const last = isTradingDay(monthEnd) ? monthEnd : addTradingDays(monthEnd, -1);
+    return addTradingDays(last, -1);
+}
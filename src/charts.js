@@ -2,6 +2,7 @@
  * Chart.js wrappers for all visualizations
  */
 import { Chart, registerables } from 'chart.js';
+import { TRADING_DAYS_PER_YEAR } from './calendar.js';
 Chart.register(...registerables);
 
 // Shared chart defaults — Tableau light theme
@@ -76,13 +77,16 @@ export function renderMarketChart(canvasId, stocks) {
 }
 
 /**
- * Payoff Diagram
+ * Payoff Diagram — P/L per contract of contract.multiplier shares in contract.currency
+ * (per share when the multiplier is unknown)
  */
-export function renderPayoffChart(canvasId, payoffData, breakevens = []) {
+export function renderPayoffChart(canvasId, payoffData, breakevens = [], contract = {}) {
     destroyIfExists(canvasId);
     const canvas = document.getElementById(canvasId);
     if (!canvas) return;
 
+    const pnlUnit = `${contract.currency || 'HKD'} per ${contract.multiplier ? `contract of ${contract.multiplier}` : 'share'}`;
+
     // Split into profit/loss segments for coloring
     const labels = payoffData.map(p => p.price);
     const values = payoffData.map(p => p.payoff);
@@ -123,7 +127,7 @@ export function renderPayoffChart(canvasId, payoffData, breakevens = []) {
                 tooltip: {
                     callbacks: {
                         title: ctx => `Stock Price: $${ctx[0].label}`,
-                        label: ctx => `P/L: $${ctx.raw.toFixed(2)}`
+                        label: ctx => `P/L: ${ctx.raw.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${pnlUnit}`
                     }
                 }
             },
@@ -136,8 +140,8 @@ export function renderPayoffChart(canvasId, payoffData, breakevens = []) {
                     }
                 },
                 y: {
-                    title: { display: true, text: 'Profit / Loss' },
-                    ticks: { callback: v => '$' + v.toFixed(0) },
+                    title: { display: true, text: `Profit / Loss (${pnlUnit})` },
+                    ticks: { callback: v => v.toLocaleString(undefined, { maximumFractionDigits: 0 }) },
                     grid: {
                         color: ctx => ctx.tick.value === 0 ? 'rgba(255,255,255,0.2)' : 'rgba(99,102,241,0.06)'
                     }
@@ -148,7 +152,8 @@ export function renderPayoffChart(canvasId, payoffData, breakevens = []) {
 }
 
 /**
- * Settlement Price History — Line chart
+ * Settlement Price History — Line chart; points rescaled across a contract
+ * adjustment (series[i].adjusted) are drawn hollow
  */
 export function renderSettlementChart(canvasId, series) {
     destroyIfExists(canvasId);
@@ -167,7 +172,10 @@ export function renderSettlementChart(canvasId, series) {
                 fill: true,
                 borderWidth: 2,
                 pointRadius: 3,
-                pointBackgroundColor: '#06b6d4',
+                pointBackgroundColor: series.map(s => s.adjusted ? '#ffffff' : '#06b6d4'),
+                segment: {
+                    borderDash: ctx => series[ctx.p0DataIndex].adjusted || series[ctx.p1DataIndex].adjusted ? [4, 3] : undefined
+                },
                 tension: 0.3
             }]
         },
@@ -178,7 +186,8 @@ export function renderSettlementChart(canvasId, series) {
             plugins: {
                 tooltip: {
                     callbacks: {
-                        label: ctx => `Settle: $${ctx.raw.toFixed(2)}`
+                        label: ctx => `Settle: $${ctx.raw.toFixed(2)}`,
+                        afterLabel: ctx => series[ctx.dataIndex].adjusted ? `Rescaled from strike ${series[ctx.dataIndex].strike}` : ''
                     }
                 }
             },
@@ -339,6 +348,53 @@ export function renderVolumeChart(canvasId, series) {
     });
 }
 
+/**
+ * Daily OI Change — Bar chart of the DTOP call/put open interest change
+ */
+export function renderOIChangeChart(canvasId, series) {
+    destroyIfExists(canvasId);
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const rows = series.filter(s => s.callOIChange !== null);
+    chartInstances[canvasId] = new Chart(canvas, {
+        type: 'bar',
+        data: {
+            labels: rows.map(s => s.date),
+            datasets: [
+                {
+                    label: 'Call OI Change',
+                    data: rows.map(s => s.callOIChange),
+                    backgroundColor: 'rgba(6, 182, 212, 0.6)',
+                    borderRadius: 3,
+                },
+                {
+                    label: 'Put OI Change',
+                    data: rows.map(s => s.putOIChange),
+                    backgroundColor: 'rgba(236, 72, 153, 0.6)',
+                    borderRadius: 3,
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            plugins: {
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: { label: ctx => `${ctx.dataset.label}: ${ctx.raw > 0 ? '+' : ''}${ctx.raw.toLocaleString()}` }
+                }
+            },
+            scales: {
+                x: { ticks: { maxTicksLimit: 8, maxRotation: 45 } },
+                y: { ticks: { callback: v => Math.abs(v) >= 1000 ? (v / 1000).toFixed(0) + 'K' : v } }
+            }
+        }
+    });
+}
+
 /**
  * Prediction Chart — Actual + Fitted + Forecast
  */
@@ -1085,3 +1141,388 @@ export function renderSignalChart(canvasId, signalResult) {
         },
     });
 }
+
+// ============ Implied Volatility ============
+
+// Tableau 10 palette, one colour per expiry / series
+const TABLEAU10 = ['#4E79A7', '#F28E2B', '#E15759', '#76B7B2', '#59A14F', '#EDC948', '#B07AA1', '#FF9DA7', '#9C755F', '#BAB0AC'];
+
+const SURFACE_AXES = {
+    moneyness: { label: 'Moneyness (K / S)', value: p => p.moneyness, tick: v => v.toFixed(2) },
+    delta: { label: 'Call Delta', value: p => p.callDelta, tick: v => v.toFixed(2) },
+    strike: { label: 'Strike', value: p => p.strike, tick: v => '$' + v }
+};
+
+/**
+ * IV Surface — one smile per expiry against moneyness, delta or strike
+ * @param {Array} [curves] - Fitted smiles [{ expiry, points }] drawn as dashed lines
+ */
+export function renderVolSurfaceChart(canvasId, surface, xAxis = 'moneyness', curves = null) {
+    destroyIfExists(canvasId);
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const axis = SURFACE_AXES[xAxis] || SURFACE_AXES.moneyness;
+    const datasets = surface.expiries.map((e, i) => {
+        const color = TABLEAU10[i % TABLEAU10.length];
+        const data = surface.points
+            .filter(p => p.expiry === e.expiry)
+            .map(p => ({ x: axis.value(p), y: p.iv * 100, point: p }))
+            .sort((a, b) => a.x - b.x);
+        return {
+            label: `${e.expiry} (${e.dte}d)`,
+            data,
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 1.5,
+            pointRadius: 2.5,
+            showLine: true,
+            tension: 0.2
+        };
+    }).filter(ds => ds.data.length > 0);
+
+    (curves || []).forEach(curve => {
+        const i = surface.expiries.findIndex(e => e.expiry === curve.expiry);
+        const color = TABLEAU10[i % TABLEAU10.length];
+        datasets.push({
+            label: `${curve.expiry} fit`,
+            data: curve.points.map(p => ({ x: axis.value(p), y: p.iv * 100 })).sort((a, b) => a.x - b.x),
+            borderColor: color,
+            borderWidth: 1,
+            borderDash: [5, 4],
+            pointRadius: 0,
+            showLine: true,
+            fill: false
+        });
+    });
+
+    chartInstances[canvasId] = new Chart(canvas, {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2.2,
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: { filter: item => !item.text.endsWith(' fit') }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => {
+                            const p = ctx.raw.point;
+                            if (!p) return `${ctx.dataset.label}: IV ${ctx.raw.y.toFixed(1)}%`;
+                            return `${ctx.dataset.label} ${p.type.toUpperCase()} ${p.strike}: IV ${ctx.raw.y.toFixed(1)}% (settle ${p.settle.toFixed(2)})`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: axis.label },
+                    ticks: { callback: axis.tick }
+                },
+                y: {
+                    title: { display: true, text: 'Implied Volatility' },
+                    ticks: { callback: v => v.toFixed(0) + '%' }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Implied Dividend Yield — one line per expiry over trading dates
+ * @param {number} [reference] - Published dividend yield drawn as a dashed line
+ */
+export function renderImpliedDividendChart(canvasId, history, reference = null) {
+    destroyIfExists(canvasId);
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const datasets = history.expiries.map((expiry, i) => {
+        const color = TABLEAU10[i % TABLEAU10.length];
+        return {
+            label: expiry,
+            data: history.series[expiry].map(v => v === null ? null : v * 100),
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 1.5,
+            pointRadius: 1.5,
+            spanGaps: true,
+            tension: 0.2
+        };
+    });
+    if (reference) {
+        datasets.push({
+            label: 'Published yield',
+            data: history.dates.map(() => reference * 100),
+            borderColor: '#94a3b8',
+            borderWidth: 1,
+            borderDash: [5, 4],
+            pointRadius: 0
+        });
+    }
+
+    chartInstances[canvasId] = new Chart(canvas, {
+        type: 'line',
+        data: { labels: history.dates, datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2,
+            plugins: {
+                legend: { position: 'top', labels: { boxWidth: 12 } },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${ctx.raw.toFixed(2)}%`
+                    }
+                }
+            },
+            scales: {
+                x: { ticks: { maxTicksLimit: 8, maxRotation: 45 } },
+                y: { ticks: { callback: v => v.toFixed(1) + '%' } }
+            }
+        }
+    });
+}
+
+/**
+ * Risk-Neutral Density — one curve per expiry, optionally overlaid with a
+ * model forecast distribution (normal with the forecast's standard error)
+ * @param {Array} densities - density.js results, each with an optional `label`
+ * @param {object} [opts] - { forecast: { mean, stdev, label }, spot }
+ */
+export function renderDensityChart(canvasId, densities, opts = {}) {
+    destroyIfExists(canvasId);
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const datasets = densities.map((d, i) => {
+        const color = TABLEAU10[i % TABLEAU10.length];
+        return {
+            label: d.label || `${d.expiry} (${Math.round(d.T * TRADING_DAYS_PER_YEAR)} trading days)`,
+            data: d.strikes.filter((_, j) => j % 2 === 0).map((K, j) => ({ x: K, y: d.pdf[j * 2] })),
+            borderColor: color,
+            backgroundColor: color + '22',
+            fill: densities.length === 1,
+            borderWidth: 1.5,
+            pointRadius: 0,
+            showLine: true
+        };
+    });
+
+    let peak = densities.length ? Math.max(...densities.flatMap(d => d.pdf)) : 0;
+    const { forecast, spot } = opts;
+    if (forecast && forecast.stdev > 0) {
+        const { mean, stdev } = forecast;
+        const xs = Array.from({ length: 161 }, (_, i) => mean - 4 * stdev + i * stdev / 20);
+        const normal = x => Math.exp(-0.5 * ((x - mean) / stdev) ** 2) / (stdev * Math.sqrt(2 * Math.PI));
+        peak = Math.max(peak, normal(mean));
+        datasets.push({
+            label: forecast.label,
+            data: xs.map(x => ({ x, y: normal(x) })),
+            borderColor: '#8b5cf6',
+            borderWidth: 2,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            showLine: true,
+            fill: false
+        });
+    }
+    if (spot) {
+        datasets.push({
+            label: 'Spot',
+            data: [{ x: spot, y: 0 }, { x: spot, y: peak }],
+            borderColor: '#94a3b8',
+            borderWidth: 1,
+            borderDash: [2, 3],
+            pointRadius: 0,
+            showLine: true
+        });
+    }
+
+    chartInstances[canvasId] = new Chart(canvas, {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2.2,
+            plugins: {
+                legend: { position: 'top', labels: { boxWidth: 12 } },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: $${ctx.raw.x.toFixed(2)} — density ${ctx.raw.y.toFixed(4)}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: 'Price at Expiry' },
+                    ticks: { callback: v => '$' + v }
+                },
+                y: {
+                    title: { display: true, text: 'Probability Density' },
+                    beginAtZero: true,
+                    ticks: { display: false }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * ATM Implied Vol History — front month, second month and 3-month constant maturity
+ */
+export function renderAtmVolHistoryChart(canvasId, history) {
+    destroyIfExists(canvasId);
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const series = [
+        { key: 'front', label: 'Front Month', color: TABLEAU10[2] },
+        { key: 'second', label: 'Second Month', color: TABLEAU10[1] },
+        { key: 'cm3m', label: '3M Constant Maturity', color: TABLEAU10[0] }
+    ];
+
+    chartInstances[canvasId] = new Chart(canvas, {
+        type: 'line',
+        data: {
+            labels: history.dates,
+            datasets: series.map(s => ({
+                label: s.label,
+                data: history[s.key].map(v => v === null ? null : v * 100),
+                borderColor: s.color,
+                backgroundColor: s.color,
+                borderWidth: s.key === 'cm3m' ? 2.5 : 1.5,
+                pointRadius: 1.5,
+                spanGaps: true,
+                tension: 0.2
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2.2,
+            interaction: { mode: 'index', intersect: false },
+            plugins: {
+                legend: { position: 'top' },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${ctx.raw === null ? '—' : ctx.raw.toFixed(1) + '%'}`
+                    }
+                }
+            },
+            scales: {
+                x: { ticks: { maxTicksLimit: 8, maxRotation: 45 } },
+                y: { ticks: { callback: v => v.toFixed(0) + '%' } }
+            }
+        }
+    });
+}
+
+/**
+ * ATM Term Structure — ATM implied vol against days to expiry for one date
+ */
+export function renderTermStructureChart(canvasId, term, date) {
+    destroyIfExists(canvasId);
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    chartInstances[canvasId] = new Chart(canvas, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: `ATM IV on ${date}`,
+                data: term.map(p => ({ x: p.dte, y: p.iv * 100, expiry: p.expiry })),
+                borderColor: TABLEAU10[0],
+                backgroundColor: TABLEAU10[0],
+                borderWidth: 2,
+                pointRadius: 4,
+                showLine: true
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2.2,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.raw.expiry} (${ctx.raw.x}d): ${ctx.raw.y.toFixed(1)}%`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: 'Days to Expiry' },
+                    beginAtZero: true
+                },
+                y: {
+                    title: { display: true, text: 'ATM Implied Volatility' },
+                    ticks: { callback: v => v.toFixed(0) + '%' }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Monte Carlo P&L histogram — losses red, profits green, with the 5th/50th/95th percentiles
+ * @param {object} [contract] - { multiplier, currency } the P&L is quoted in, as renderPayoffChart
+ */
+export function renderPnlHistogramChart(canvasId, result, contract = {}) {
+    destroyIfExists(canvasId);
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const { edges, counts } = result.histogram;
+    const mids = counts.map((_, i) => 0.5 * (edges[i] + edges[i + 1]));
+    const share = counts.map(c => c / result.nPaths * 100);
+
+    chartInstances[canvasId] = new Chart(canvas, {
+        type: 'bar',
+        data: {
+            labels: mids.map(m => m.toFixed(2)),
+            datasets: [{
+                label: `P&L after ${result.days} trading days`,
+                data: share,
+                backgroundColor: mids.map(m => m < 0 ? 'rgba(225, 87, 89, 0.6)' : 'rgba(89, 161, 79, 0.6)'),
+                borderRadius: 2,
+                categoryPercentage: 1,
+                barPercentage: 0.95
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            aspectRatio: 2.2,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        title: items => `P&L ${edges[items[0].dataIndex].toFixed(2)} to ${edges[items[0].dataIndex + 1].toFixed(2)}`,
+                        label: ctx => `${ctx.raw.toFixed(1)}% of paths`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: { display: true, text: `P&L (${contract.currency || 'HKD'} per ${contract.multiplier ? `contract of ${contract.multiplier}` : 'share'})` },
+                    ticks: { maxTicksLimit: 10 }
+                },
+                y: {
+                    title: { display: true, text: 'Share of Paths' },
+                    beginAtZero: true,
+                    ticks: { callback: v => v + '%' }
+                }
+            }
+        }
+    });
+}
@@ -1,47 +1,263 @@
 /**
  * Data Layer — fetches and caches HKEX options JSON data
+ *
+ * Two cache levels: parsed files in memory for the session, and the
+ * IndexedDB cache (cache.js) across reloads. manifest.json and index.json are
+ * always fetched fresh; the manifest's build id (or the index hash when there
+ * is no manifest) is what the persistent cache must match.
+ *
+ * Files written by build_data.js are checked against the manifest's SHA-256
+ * when downloaded; a mismatch means files from two builds are being mixed.
+ * Every file is also validated against its schema (schema.js) after parsing.
+ * Both kinds of problem are reported to onDataIssue listeners; files that
+ * fail their schema throw SchemaError (stock, index, summary) or load as null
+ * (news and the optional build outputs: screener, rates, analytics). Those
+ * optional files load as null quietly when they haven't been built, but any
+ * other failure to load them is reported too.
+ *
+ * A sharded build (build_data.js --shards) splits each stock file by month;
+ * loadStockData then fetches only the months a view asks for and merges them
+ * into one stock object, so the accessors below work unchanged on whatever
+ * dates have been loaded.
  */
+import { cachedJSON, setCacheBuild, hashText } from './cache.js';
+import { SchemaError, DEFAULT_FIELD_MAP, STANDARD_SERIES, validateIndex, validateStock, validateSummary, validateNews, validateAnalytics, validateShardIndex } from './schema.js';
 
 const cache = {};
+let manifest = null;
+let fieldMap = DEFAULT_FIELD_MAP;
+let sharded = false;
+const shardLoads = {};
+const dataIssues = [];
+const issueListeners = [];
+
+/**
+ * Subscribe to data problems; the listener gets the full issue list, each
+ * issue { kind: 'integrity' | 'schema' | 'load', file, message }
+ */
+export function onDataIssue(listener) {
+    issueListeners.push(listener);
+    if (dataIssues.length) listener(dataIssues);
+}
+
+function reportIssue(kind, file, message) {
+    if (dataIssues.some(i => i.message === message)) return;
+    console.warn(`⚠️ ${message}`);
+    dataIssues.push({ kind, file, message });
+    issueListeners.forEach(fn => fn(dataIssues));
+}
+
+/**
+ * Run a schema validator over a parsed file; reports and throws SchemaError
+ * when it fails
+ * @param {string} file - File name for messages, e.g. 'ALB.json'
+ * @param {object} json - Parsed file
+ * @param {Function} validator - From schema.js, returning error strings
+ */
+export function checkSchema(file, json, validator, ...args) {
+    const errors = validator(json, ...args);
+    if (!errors.length) return json;
+    const err = new SchemaError(file, errors);
+    reportIssue('schema', file, err.message);
+    throw err;
+}
+
+async function sha256Hex(text) {
+    if (!globalThis.crypto?.subtle) return null; // insecure context: skip the check
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Check a downloaded build file against the manifest; false when it doesn't belong
+async function verifyFile(name, text) {
+    if (!manifest) return true;
+    const entry = manifest.files[name];
+    if (!entry) {
+        reportIssue('integrity', name, `${name} is not part of data build ${manifest.build}.`);
+        return false;
+    }
+    const hash = await sha256Hex(text);
+    if (hash && hash !== entry.sha256) {
+        reportIssue('integrity', name, `${name} does not match data build ${manifest.build} (built ${manifest.generated.slice(0, 10)}) — it is stale or from another build.`);
+        return false;
+    }
+    return true;
+}
+
+async function loadManifest() {
+    try {
+        const res = await fetch('/data/manifest.json', { cache: 'no-cache' });
+        if (!res.ok) throw new Error(res.status);
+        return await res.json();
+    } catch {
+        console.warn('⚠️ No data manifest; files cannot be checked for a consistent build. Run npm run build:manifest.');
+        return null;
+    }
+}
+
+/**
+ * The manifest of the data build being served, or null
+ */
+export function getManifest() {
+    return manifest;
+}
 
 export async function loadIndex() {
     if (cache._index) return cache._index;
-    const res = await fetch('/data/index.json');
-    cache._index = await res.json();
+    manifest = await loadManifest();
+    const res = await fetch('/data/index.json', { cache: 'no-cache' });
+    const text = await res.text();
+    await verifyFile('index.json', text);
+    await setCacheBuild(manifest?.build ?? hashText(text));
+    const index = checkSchema('index.json', JSON.parse(text), validateIndex);
+    fieldMap = index.fieldMap ?? DEFAULT_FIELD_MAP;
+    sharded = index.sharded === true;
+    cache._index = index;
     return cache._index;
 }
 
-export async function loadStockData(code) {
+/**
+ * Load a stock's options data
+ * @param {string} code - Stock class code
+ * @param {string|object|null} [range] - With a sharded build, the dates needed: one
+ *   date, { from, to } (inclusive, either end open) or null for every date. Repeated
+ *   calls extend the same object; single-file builds always load every date.
+ * @returns {Promise<object>} - { dates, series?, adjustments? } as a stock file
+ */
+export async function loadStockData(code, range = null) {
+    if (sharded) return loadShards(code, range);
     if (cache[code]) return cache[code];
-    const res = await fetch(`/data/${code}.json`);
-    if (!res.ok) throw new Error(`Failed to load ${code}`);
-    cache[code] = await res.json();
+    const name = `${code}.json`;
+    const data = await cachedJSON(`/data/${name}`, { verify: text => verifyFile(name, text) });
+    cache[code] = checkSchema(name, data, validateStock, fieldMap);
     return cache[code];
 }
 
+async function loadShards(code, range) {
+    const key = `_shards_${code}`;
+    cache[key] ??= shardIndex(code).catch(err => {
+        delete cache[key];
+        throw err;
+    });
+    const { stock, months } = await cache[key];
+
+    const from = (typeof range === 'string' ? range : range?.from)?.slice(0, 7);
+    const to = (typeof range === 'string' ? range : range?.to)?.slice(0, 7);
+    const wanted = Object.keys(months).filter(m => (!from || m >= from) && (!to || m <= to));
+    await Promise.all(wanted.map(month => loadShard(code, month, stock)));
+    return stock;
+}
+
+// Stock object with no dates yet, from shards/<code>/index.json
+async function shardIndex(code) {
+    const name = `shards/${code}/index.json`;
+    const json = await cachedJSON(`/data/${name}`, { verify: text => verifyFile(name, text) });
+    const index = checkSchema(name, json, validateShardIndex);
+    return { stock: { dates: {}, series: index.series, adjustments: index.adjustments }, months: index.months };
+}
+
+// Merge one month into the stock object; concurrent requests share the fetch
+function loadShard(code, month, stock) {
+    const name = `shards/${code}/${month}.json`;
+    shardLoads[name] ??= cachedJSON(`/data/${name}`, { verify: text => verifyFile(name, text) })
+        .then(json => {
+            Object.assign(stock.dates, checkSchema(name, json, validateStock, fieldMap).dates);
+        })
+        .catch(err => {
+            delete shardLoads[name];
+            throw err;
+        });
+    return shardLoads[name];
+}
+
 export async function loadSummary() {
     if (cache._summary) return cache._summary;
-    const res = await fetch('/data/summary.json');
-    cache._summary = await res.json();
+    const data = await cachedJSON('/data/summary.json', { verify: text => verifyFile('summary.json', text) });
+    cache._summary = checkSchema('summary.json', data, validateSummary);
     return cache._summary;
 }
 
+// Optional build output: null when it hasn't been built (404); any other
+// failure (network, bad JSON, schema) is reported and also loads as null.
+// Files the manifest lists (analytics) are checked against it and cached like
+// stock files; the rest are rebuilt on their own, so they skip the cache.
+async function loadOptional(name, validator = null, { verify = false } = {}) {
+    try {
+        const data = await cachedJSON(`/data/${name}`, verify ? { verify: text => verifyFile(name, text) } : { persist: false });
+        return validator ? checkSchema(name, data, validator) : data;
+    } catch (err) {
+        if (err.status !== 404) reportIssue('load', name, err.message);
+        return null;
+    }
+}
+
+// Universe IV screener (scripts/build_screener.js); null until it has been built
+export async function loadScreener() {
+    if (cache._screener === undefined) cache._screener = await loadOptional('screener.json');
+    return cache._screener;
+}
+
+// Per-contract analytics (scripts/build_analytics.js); null when the stock has none
+export async function loadAnalytics(code) {
+    const key = `_analytics_${code}`;
+    if (cache[key] === undefined) cache[key] = await loadOptional(`analytics/${code}.json`, validateAnalytics, { verify: true });
+    return cache[key];
+}
+
+// HIBOR fixings (rates.json); null means the flat default rate
+export async function loadRates() {
+    if (cache._rates === undefined) cache._rates = await loadOptional('rates.json');
+    return cache._rates;
+}
+
 export async function loadNewsData(code) {
     const key = `_news_${code}`;
     if (cache[key]) return cache[key];
     try {
-        const res = await fetch(`/data/news/${code}.json`);
-        if (!res.ok) return null;
-        cache[key] = await res.json();
+        // Refreshed by fetch_news.py outside the data build: not cached across reloads
+        const data = await cachedJSON(`/data/news/${code}.json`, { persist: false });
+        cache[key] = checkSchema(`news/${code}.json`, data, validateNews);
         return cache[key];
     } catch {
         return null;
     }
 }
 
+// Position of a named column in the call/put arrays, or -1 when the data
+// format doesn't have it (oiChange in format 1 files)
+function column(side, name) {
+    return fieldMap[side].indexOf(name);
+}
+
+// Read a named column from a call/put array; null when the format lacks it
+function field(values, side, name) {
+    const i = column(side, name);
+    return i < 0 ? null : values[i];
+}
+
+function contract(values, side) {
+    return {
+        gross: field(values, side, 'gross'),
+        net: field(values, side, 'net'),
+        turnover: field(values, side, 'turnover'),
+        deals: field(values, side, 'deals'),
+        settle: field(values, side, 'settle'),
+        priceChg: field(values, side, 'priceChg'),
+        oiChange: field(values, side, 'oiChange')
+    };
+}
+
+/**
+ * Whether the loaded data carries the DTOP daily OI change (format 2+)
+ */
+export function hasOIChange() {
+    return column('c', 'oiChange') >= 0;
+}
+
 /**
  * Get options chain for a stock on a specific date and expiry
- * Returns array of { strike, call: {gross,net,to,deals,settle,priceChg}, put: {...} }
+ * Returns array of { strike, call: {gross,net,turnover,deals,settle,priceChg,oiChange}, put: {...}, adjustment };
+ * oiChange is null for format 1 data, adjustment null for contracts on standard terms
  */
 export function getChain(stockData, date, expiry) {
     const dateData = stockData.dates[date];
@@ -49,83 +265,183 @@ export function getChain(stockData, date, expiry) {
 
     return dateData[expiry].map(row => ({
         strike: row.k,
-        call: {
-            gross: row.c[0],
-            net: row.c[1],
-            turnover: row.c[2],
-            deals: row.c[3],
-            settle: row.c[4],
-            priceChg: row.c[5]
-        },
-        put: {
-            gross: row.p[0],
-            net: row.p[1],
-            turnover: row.p[2],
-            deals: row.p[3],
-            settle: row.p[4],
-            priceChg: row.p[5]
-        }
+        call: contract(row.c, 'c'),
+        put: contract(row.p, 'p'),
+        adjustment: contractAdjustment(stockData, date, expiry, row.k)
     }));
 }
 
 /**
- * Get available expiries for a stock on a given date
+ * Get available expiries for a stock on a given date, as chain keys (schema.js
+ * chainKey: the expiry date, with ':CODE' for non-standard series); expiryDate
+ * gives the date of one
+ * @param {string|null} [series] - Only expiries of this DTOP series code (default: every series)
  */
-export function getExpiries(stockData, date) {
+export function getExpiries(stockData, date, series = null) {
     const dateData = stockData.dates[date];
     if (!dateData) return [];
-    return Object.keys(dateData).sort();
+    const expiries = Object.keys(dateData).sort();
+    return series ? expiries.filter(e => getSeries(stockData, e) === series) : expiries;
+}
+
+/**
+ * DTOP series code of an expiry's chain key ('SOM' for standard monthlies);
+ * format 3 files name the series in their series map only
+ */
+export function getSeries(stockData, expiry) {
+    return stockData.series?.[expiry] ?? (expiry.length > 10 ? expiry.slice(11) : STANDARD_SERIES);
+}
+
+/**
+ * Series codes a stock trades, standard monthlies first
+ */
+export function listSeries(stockData) {
+    const codes = new Set(Object.values(stockData.series || {}));
+    codes.delete(STANDARD_SERIES);
+    return [STANDARD_SERIES, ...[...codes].sort()];
 }
 
 /**
- * Get available dates for a stock
+ * Get available dates for a stock (with a sharded build, the dates loaded so far)
  */
 export function getDates(stockData) {
     return Object.keys(stockData.dates).sort();
 }
 
+const sameStrike = (a, b) => Math.abs(a - b) < 0.001;
+
+/**
+ * Contract adjustment (scripts/adjustments.json, linked by build_data.js) that
+ * a contract trades under on a date, or null for standard terms
+ * @returns {object|null} - { code, adjustedCode, effective, factor, multiplier?, reason, links }
+ */
+export function contractAdjustment(stockData, date, expiry, strike) {
+    for (const a of stockData.adjustments || []) {
+        if (date >= a.effective && a.links[expiry]?.some(([, to]) => sameStrike(to, strike))) return a;
+    }
+    return null;
+}
+
+/**
+ * Classes other than this one that hold the other side of its adjustments —
+ * pass their data to getSettlementHistory to join a contract's history
+ */
+export function linkedClasses(stockData, code) {
+    const codes = new Set();
+    for (const a of stockData.adjustments || []) {
+        for (const c of [a.code, a.adjustedCode]) if (c !== code) codes.add(c);
+    }
+    return [...codes];
+}
+
 /**
  * Get settlement price time series for a specific strike/expiry
+ * Across a contract adjustment the contract is followed to its strike on the
+ * other side, and those settles are rescaled by the factor so the series is
+ * on the terms in force on `asOf`; such points carry adjusted: true with the
+ * strike they traded at.
+ * @param {object} [opts] - { asOf: date the strike was picked on (default: latest),
+ *   classes: { code: stockData } for adjustments that moved contracts to another class }
  */
-export function getSettlementHistory(stockData, expiry, strike, type = 'call') {
-    const dates = getDates(stockData);
+export function getSettlementHistory(stockData, expiry, strike, type = 'call', opts = {}) {
+    const classes = opts.classes || {};
+    const files = [stockData, ...Object.values(classes)];
+    const dates = [...new Set(files.flatMap(getDates))].sort();
+    const asOf = opts.asOf || getDates(stockData).pop();
+    const adjustments = [...(stockData.adjustments || [])].sort((a, b) => a.effective.localeCompare(b.effective));
     const series = [];
 
     for (const date of dates) {
-        const dateData = stockData.dates[date];
+        // Walk the contract from asOf to this date through the adjustments in between
+        let k = strike, scale = 1, file = stockData;
+        if (date < asOf) {
+            for (const a of [...adjustments].reverse()) {
+                if (!(date < a.effective && a.effective <= asOf)) continue;
+                const link = a.links[expiry]?.find(([, to]) => sameStrike(to, k));
+                if (!link) continue;
+                k = link[0];
+                scale *= a.factor;
+                file = classes[a.code] ?? (a.code === a.adjustedCode ? file : null);
+            }
+        } else {
+            for (const a of adjustments) {
+                if (!(asOf < a.effective && a.effective <= date)) continue;
+                const link = a.links[expiry]?.find(([from]) => sameStrike(from, k));
+                if (!link) continue;
+                k = link[1];
+                scale /= a.factor;
+                file = classes[a.adjustedCode] ?? (a.code === a.adjustedCode ? file : null);
+            }
+        }
+        const dateData = file?.dates[date];  // null: the other class isn't loaded
         if (!dateData || !dateData[expiry]) continue;
 
-        const row = dateData[expiry].find(r => Math.abs(r.k - strike) < 0.001);
+        const row = dateData[expiry].find(r => sameStrike(r.k, k));
         if (!row) continue;
 
-        const idx = type === 'call' ? 4 : 4; // settle index
-        const data = type === 'call' ? row.c : row.p;
-        series.push({ date, settle: data[4], priceChg: data[5], oi: data[1], volume: data[2] });
+        const side = type === 'call' ? 'c' : 'p';
+        const data = row[side];
+        series.push({
+            date,
+            settle: field(data, side, 'settle') * scale,
+            priceChg: field(data, side, 'priceChg') * scale,
+            oi: field(data, side, 'net'),
+            oiChange: field(data, side, 'oiChange'),
+            volume: field(data, side, 'turnover'),
+            strike: k,
+            adjusted: scale !== 1
+        });
     }
     return series;
 }
 
 /**
- * Get OI time series aggregated per stock
+ * Get OI time series aggregated per stock; callOIChange/putOIChange are the
+ * summed DTOP daily OI changes (null for format 1 data)
  */
 export function getOIHistory(stockData) {
     const dates = getDates(stockData);
     const series = [];
+    const net = column('c', 'net'), vol = column('c', 'turnover'), chg = column('c', 'oiChange');
 
     for (const date of dates) {
         const dateData = stockData.dates[date];
         if (!dateData) continue;
 
-        let callOI = 0, putOI = 0, callVol = 0, putVol = 0;
+        let callOI = 0, putOI = 0, callVol = 0, putVol = 0, callOIChange = 0, putOIChange = 0;
         for (const expiry of Object.keys(dateData)) {
             for (const row of dateData[expiry]) {
-                callOI += row.c[1];
-                putOI += row.p[1];
-                callVol += row.c[2];
-                putVol += row.p[2];
+                callOI += row.c[net];
+                putOI += row.p[net];
+                callVol += row.c[vol];
+                putVol += row.p[vol];
+                if (chg >= 0) {
+                    callOIChange += row.c[chg];
+                    putOIChange += row.p[chg];
+                }
             }
         }
-        series.push({ date, callOI, putOI, callVol, putVol, pcr: callOI > 0 ? putOI / callOI : 0 });
+        series.push({
+            date, callOI, putOI, callVol, putVol,
+            callOIChange: chg >= 0 ? callOIChange : null,
+            putOIChange: chg >= 0 ? putOIChange : null,
+            pcr: callOI > 0 ? putOI / callOI : 0
+        });
     }
     return series;
 }
+
+/**
+ * Get the underlying close on a date from a prices file (public/data/prices/<code>.json),
+ * falling back to the latest close before it (holidays, missing rows)
+ * Returns { date, close } or null
+ */
+export function getClose(priceData, date) {
+    if (!priceData || !priceData.prices) return null;
+    let found = null;
+    for (const p of priceData.prices) {
+        if (p.date > date) break;
+        if (p.close > 0) found = p;
+    }
+    return found ? { date: found.date, close: found.close } : null;
+}
@@ -0,0 +1,97 @@
+/**
+ * Risk-Neutral Density
+ * Breeden-Litzenberger: the market's distribution of the stock at expiry is
+ * the discounted second strike-derivative of call prices, f(K) = e^(rT) ∂²C/∂K².
+ *
+ * Calls are priced off a fitted smile (smile.js) rather than raw settles —
+ * second differences of settles on the 0.01 tick and a sparse strike grid are
+ * mostly noise.
+ */
+import { blackScholes, forwardPrice } from './blackscholes.js';
+import { smileVol } from './smile.js';
+
+const GRID_POINTS = 401;
+const GRID_WIDTH = 6; // ± ATM standard deviations of log-price covered by the grid
+
+/**
+ * Density implied by a fitted smile slice
+ * @param {object} fit - fitSmile / fitSmiles result
+ * @param {object} [opts] - { T } horizon in years; defaults to the slice's own expiry.
+ *   Shorter horizons keep implied vol fixed at each log-moneyness (total variance
+ *   scales with time), which is how the SARIMAX/Hybrid overlay reads a 5-day view.
+ * @returns {object} - { expiry, T, spot, forward, strikes, pdf, cdf, mass, negativeMass,
+ *   mean, stdev, skewness, kurtosis }; mass is the integral before normalisation (≈ 1
+ *   for a consistent smile) and negativeMass the clipped butterfly arbitrage
+ */
+export function densityFromSmile(fit, opts = {}) {
+    const T = opts.T ?? fit.T;
+    const forward = forwardPrice(fit.spot, T, fit.r, fit.carry);
+    const vol = K => smileVol(fit, K * fit.forward / forward);
+    const width = GRID_WIDTH * vol(forward) * Math.sqrt(T);
+
+    const strikes = Array.from({ length: GRID_POINTS }, (_, i) =>
+        forward * Math.exp(-width + 2 * width * i / (GRID_POINTS - 1)));
+    const calls = strikes.map(K => blackScholes(fit.spot, K, T, fit.r, vol(K), 'call', fit.carry));
+
+    // Second derivative on the non-uniform grid
+    const growth = Math.exp(fit.r * T);
+    const raw = strikes.map((K, i) => {
+        if (i === 0 || i === strikes.length - 1) return 0;
+        const h1 = K - strikes[i - 1], h2 = strikes[i + 1] - K;
+        const d2 = 2 * ((calls[i + 1] - calls[i]) / h2 - (calls[i] - calls[i - 1]) / h1) / (h1 + h2);
+        return growth * d2;
+    });
+
+    const integrate = values => values.reduce((s, v, i) =>
+        i === 0 ? 0 : s + 0.5 * (v + values[i - 1]) * (strikes[i] - strikes[i - 1]), 0);
+    const negativeMass = -integrate(raw.map(v => Math.min(v, 0)));
+    const clipped = raw.map(v => Math.max(v, 0));
+    const mass = integrate(clipped);
+    const pdf = clipped.map(v => v / mass);
+
+    const cdf = [0];
+    for (let i = 1; i < strikes.length; i++) {
+        cdf.push(Math.min(1, cdf[i - 1] + 0.5 * (pdf[i] + pdf[i - 1]) * (strikes[i] - strikes[i - 1])));
+    }
+
+    const moment = fn => integrate(pdf.map((p, i) => p * fn(strikes[i])));
+    const mean = moment(K => K);
+    const variance = moment(K => (K - mean) ** 2);
+    const stdev = Math.sqrt(variance);
+
+    return {
+        expiry: fit.expiry,
+        T,
+        spot: fit.spot,
+        forward,
+        strikes,
+        pdf,
+        cdf,
+        mass,
+        negativeMass,
+        mean,
+        stdev,
+        skewness: moment(K => (K - mean) ** 3) / stdev ** 3,
+        kurtosis: moment(K => (K - mean) ** 4) / variance ** 2
+    };
+}
+
+/**
+ * Risk-neutral probability of finishing below a price
+ */
+export function probBelow(density, level) {
+    const { strikes, cdf } = density;
+    if (level <= strikes[0]) return 0;
+    if (level >= strikes[strikes.length - 1]) return 1;
+    let i = 1;
+    while (strikes[i] < level) i++;
+    const w = (level - strikes[i - 1]) / (strikes[i] - strikes[i - 1]);
+    return cdf[i - 1] + w * (cdf[i] - cdf[i - 1]);
+}
+
+/**
+ * Risk-neutral probability of finishing above a price
+ */
+export function probAbove(density, level) {
+    return 1 - probBelow(density, level);
+}
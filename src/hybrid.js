@@ -11,6 +11,7 @@
  */
 import * as tf from '@tensorflow/tfjs';
 import { loadPriceData, buildDailySentiment, runSARIMAX, runTraditionalSARIMAX } from './sarimax.js';
+import { nextTradingDays } from './calendar.js';
 
 // ── Normalization helpers ──
 
@@ -286,15 +287,8 @@ export async function runHybridPipeline(priceData, newsArticles, forecastDays =
         return v + avgResidual;
     });
 
-    // Build future dates (skip weekends)
-    const lastDate = new Date(priceDates[n - 1]);
-    const futureDates = [];
-    let d = new Date(lastDate);
-    while (futureDates.length < forecastDays) {
-        d.setDate(d.getDate() + 1);
-        const dow = d.getDay();
-        if (dow !== 0 && dow !== 6) futureDates.push(d.toISOString().slice(0, 10));
-    }
+    // Future dates on the HKEX calendar (weekends and holidays skipped)
+    const futureDates = nextTradingDays(priceDates[n - 1], forecastDays);
 
     // Sentiment summary
     const bullDays = dailySent.filter(s => s > 0).length;
@@ -2,32 +2,97 @@
  * HK Options Explorer — Main Application
  */
 import './index.css';
-import { loadIndex, loadStockData, loadNewsData, getChain, getExpiries, getDates, getSettlementHistory, getOIHistory } from './data.js';
-import { greeks, impliedVolatility, daysToExpiry } from './blackscholes.js';
+import { loadIndex, loadScreener, loadRates, onDataIssue, loadStockData, loadAnalytics, loadNewsData, getChain, getExpiries, getSeries, listSeries, getDates, getSettlementHistory, linkedClasses, getOIHistory, hasOIChange } from './data.js';
+import { greeks, impliedVolatility, dividendSchedule } from './blackscholes.js';
+import { daysToExpiry, tradingDays, yearFraction, nextTradingDays } from './calendar.js';
+import { STANDARD_SERIES, expiryDate } from './schema.js';
 import { STRATEGIES, calculatePayoff, strategyMetrics, strategyGreeks } from './strategies.js';
-import { renderMarketChart, renderPayoffChart, renderSettlementChart, renderOIChart, renderPCRChart, renderVolumeChart, renderPredictionChart, renderCandlestickChart, renderSarimaxChart, renderHybridChart, renderSignalChart } from './charts.js';
+import { renderMarketChart, renderPayoffChart, renderSettlementChart, renderOIChart, renderPCRChart, renderVolumeChart, renderOIChangeChart, renderPredictionChart, renderCandlestickChart, renderSarimaxChart, renderHybridChart, renderSignalChart, renderVolSurfaceChart, renderImpliedDividendChart, renderDensityChart, renderAtmVolHistoryChart, renderTermStructureChart, renderPnlHistogramChart } from './charts.js';
 import { trainAndPredict } from './lstm.js';
 import { analyzeSentiment, combinedSignal } from './sentiment.js';
 import { buildOHLC, detectPatterns, backtestPatterns } from './candlestick.js';
 import { loadPriceData, runFullPipeline } from './sarimax.js';
 import { runHybridPipeline } from './hybrid.js';
 import { generateSignals } from './signals.js';
+import { getSurface, atmVolHistory, atmVolPoint, atmTermStructure, constantMaturityVol } from './surface.js';
+import { matchesPricing, putCallRatio, maxPain } from './analytics.js';
+import { checkArbitrage, contractKey } from './arbitrage.js';
+import { resolveSpot, nearestStrikeIndex, impliedDividends, impliedDividendHistory } from './parity.js';
+import { fitSmiles, fitSmile, smileVol, smileCurve } from './smile.js';
+import { densityFromSmile, probBelow, probAbove } from './density.js';
+import { curveForDate, withDateRate } from './rates.js';
+import { simulatePosition, historicalReturns } from './montecarlo.js';
+import { cacheStats, clearCache } from './cache.js';
 
 // ============ State ============
 let state = {
   index: null,
   currentStock: null,
   currentStockData: null,
+  analytics: null,
   currentDate: null,
-  currentTab: 'stock-analysis'
+  currentTab: 'stock-analysis',
+  spot: null,
+  arbitrage: null,
+  excludeArb: false,
+  surface: null,
+  surfaceKey: null,
+  smiles: null,
+  screener: null,
+  screenerSort: { key: 'ivRank', dir: -1 },
+  atmHistory: null,
+  atmHistoryKey: null,
+  position: null,
+  rates: null,
+  rateOverride: {},
+  series: '',
+  exercise: 'american',
+  carry: { q: 0, borrow: 0, dividends: [] }
 };
 
+// Contract terms of a stock from index.json (scripts/stocks.json); a null
+// multiplier means the contract size is unknown and P&L stays per share
+function contractSpec(code = state.currentStock) {
+  const stock = state.index.stocks.find(s => s.code === code) || {};
+  return { multiplier: stock.multiplier ?? null, tickSize: stock.tickSize ?? 0.01, currency: stock.currency || 'HKD' };
+}
+
+// HIBOR curve in force on a date (the current one by default), with the user's edits applied
+function currentCurve(date = state.currentDate) {
+  return curveForDate(state.rates, date, state.rateOverride);
+}
+
+// Rate options for history views: each date discounts off its own fixing
+function historyRates() {
+  return { r: currentCurve(), rates: state.rates, rateOverride: state.rateOverride };
+}
+
+// Pricing options for the selected exercise style and carry (see blackscholes.js optionPrice)
+function pricingOpts() {
+  const { q, borrow, dividends } = state.carry;
+  const carry = { q, borrow, dividends: dividendSchedule(dividends, state.currentDate) };
+  if (state.exercise === 'american-baw') return { exercise: 'american', method: 'baw', ...carry };
+  return { exercise: state.exercise, ...carry };
+}
+
+// Analytics file of the current stock (scripts/build_analytics.js), when it was
+// priced with the current exercise style, carry and rates; null otherwise
+function matchingAnalytics() {
+  const { exercise, method } = pricingOpts();
+  const { q, borrow, dividends } = state.carry;
+  return matchesPricing(state.analytics, { exercise, method, q, borrow, dividends, rates: state.rates, rateOverride: state.rateOverride })
+    ? state.analytics
+    : null;
+}
+
 // ============ Init ============
 async function init() {
   console.log('🚀 Initializing HK Options Explorer...');
 
-  // Load index
+  // Load index and rate curve, warning if files from different data builds or malformed files turn up
+  onDataIssue(renderDataIssueBanner);
   state.index = await loadIndex();
+  state.rates = await loadRates();
   console.log(`📊 Loaded ${state.index.stocks.length} stocks, ${state.index.dates.length} dates`);
 
   // Populate stock selector
@@ -43,13 +108,23 @@ async function init() {
     `<option value="${d}">${d}</option>`
   ).join('');
   state.currentDate = state.index.latestDate;
+  renderRateInputs();
 
   // Event listeners
   stockSel.addEventListener('change', onStockChange);
   dateSel.addEventListener('change', onDateChange);
+  document.getElementById('exerciseSelector').addEventListener('change', onExerciseChange);
+  document.getElementById('excludeArb').addEventListener('change', onExcludeArbChange);
+  ['carryDivYield', 'carryBorrow', 'carryDivAmount', 'carryDivExDate'].forEach(id =>
+    document.getElementById(id).addEventListener('change', onCarryChange));
+  document.getElementById('rateInputs').addEventListener('change', onRateChange);
+  document.getElementById('resetRates').addEventListener('click', onResetRates);
   document.getElementById('tabs').addEventListener('click', onTabClick);
   document.getElementById('expirySelector').addEventListener('change', onExpiryChange);
+  document.getElementById('seriesFilter').addEventListener('change', onSeriesChange);
   document.getElementById('buildStrategyBtn').addEventListener('click', onBuildStrategy);
+  document.getElementById('runMcBtn').addEventListener('click', onRunMonteCarlo);
+  document.getElementById('clearCacheBtn').addEventListener('click', onClearCache);
   document.getElementById('strategyType').addEventListener('change', onStrategyTypeChange);
   document.getElementById('strategyExpiry').addEventListener('change', onStrategyExpiryChange);
   document.getElementById('trendExpiry').addEventListener('change', onTrendExpiryChange);
@@ -78,9 +153,16 @@ async function init() {
       const parentPanel = nav.closest('.tab-panel');
       parentPanel.querySelectorAll('.sub-panel').forEach(p => p.classList.remove('active'));
       document.getElementById(btn.dataset.subtab).classList.add('active');
+      if (btn.dataset.subtab === 'sub-volatility') renderVolatility();
     });
   });
 
+  // Volatility sub-tab
+  document.getElementById('volAxis').addEventListener('change', renderVolSurface);
+  document.getElementById('smileModel').addEventListener('change', renderVolatility);
+  document.getElementById('densityLevel').addEventListener('change', renderDensities);
+  document.getElementById('termDate').addEventListener('change', renderTermStructure);
+
   // Candlestick scan patterns button  
   document.getElementById('btnScanPatterns').addEventListener('click', onScanPatterns);
 
@@ -117,7 +199,7 @@ async function init() {
 }
 
 // ============ Tab Navigation ============
-function onTabClick(e) {
+async function onTabClick(e) {
   const tab = e.target.closest('.tab');
   if (!tab) return;
 
@@ -134,56 +216,271 @@ function onTabClick(e) {
 
   state.currentTab = tabName;
 
-  // Trigger re-render for the new tab
+  // Trigger re-render for the new tab; history views wait for every date of a sharded stock
   if (tabName === 'options-explorer' && state.currentStockData) {
+    if (!await loadFullHistory()) return;
     renderTrends();
     updatePredSelectors();
+    renderVolatility();
   }
   if (tabName === 'stock-analysis' && state.currentStockData) {
     updateCandleSelectors();
   }
 }
 
+function renderDataIssueBanner(issues) {
+  const el = document.getElementById('dataIssueBanner');
+  const integrity = issues.filter(i => i.kind === 'integrity');
+  const schema = issues.filter(i => i.kind === 'schema');
+  const load = issues.filter(i => i.kind === 'load');
+  let html = '';
+  if (integrity.length) {
+    html += `<p><strong>⚠️ Data files don't match the current build.</strong> ${integrity.map(i => i.message).join(' ')}
+      Reload the page (clearing the cached data on the Dashboard) or rebuild the data with <code>npm run build:data</code>.</p>`;
+  }
+  if (schema.length) {
+    html += `<p><strong>⚠️ Malformed data files were not displayed.</strong></p>
+      <ul>${schema.map(i => `<li>${i.message}</li>`).join('')}</ul>
+      <p>Check them with <code>npm run validate:data</code>.</p>`;
+  }
+  if (load.length) {
+    html += `<p><strong>⚠️ Some data could not be loaded and was left out.</strong> ${load.map(i => i.message).join(' ')}</p>`;
+  }
+  el.hidden = false;
+  el.innerHTML = html;
+}
+
 // ============ Stock Change ============
 async function onStockChange() {
   const code = document.getElementById('stockSelector').value;
   if (!code) return;
 
+  // A malformed file is listed in the data issue banner; stay on the previous stock.
+  // With sharded data only the selected date's month comes first, so the chain shows without waiting for the history
+  let stockData, analytics;
+  try {
+    [stockData, analytics] = await Promise.all([loadStockData(code, state.currentDate), loadAnalytics(code)]);
+  } catch (err) {
+    console.error(`Failed to load ${code}:`, err);
+    document.getElementById('stockSelector').value = state.currentStock || '';
+    return;
+  }
+
   state.currentStock = code;
-  state.currentStockData = await loadStockData(code);
+  state.currentStockData = stockData;
+  state.analytics = analytics;
+  resetCarry();
+  await updateSpot();
 
-  // Update expiry selectors
+  // Update series filter and expiry selectors
+  renderSeriesFilter();
   updateExpirySelectors();
 
   // Render views for current tab
-  if (state.currentTab === 'options-explorer') {
-    renderChain();
-    renderTrends();
-    updatePredSelectors();
-  }
+  if (state.currentTab === 'options-explorer') renderChain();
   if (state.currentTab === 'strategy') {
     onStrategyTypeChange();
   }
   if (state.currentTab === 'stock-analysis') {
     updateCandleSelectors();
   }
+
+  if (!await loadFullHistory() || code !== state.currentStock) return;
+  if (state.currentTab === 'options-explorer') {
+    renderTrends();
+    updatePredSelectors();
+    renderVolatility();
+  }
+}
+
+// Every date of the current stock (a no-op unless the build is sharded); false
+// when a month failed to load, which the data issue banner reports
+async function loadFullHistory() {
+  try {
+    await loadStockData(state.currentStock);
+    return true;
+  } catch (err) {
+    console.error(`Failed to load the ${state.currentStock} history:`, err);
+    return false;
+  }
 }
 
-function onDateChange() {
+async function onDateChange() {
   state.currentDate = document.getElementById('dateSelector').value;
+  if (state.currentStock) {
+    try {
+      await loadStockData(state.currentStock, state.currentDate);
+    } catch (err) {
+      console.error(`Failed to load ${state.currentStock} for ${state.currentDate}:`, err);
+    }
+  }
+  renderRateInputs();
+  await updateSpot();
   updateExpirySelectors();
-  if (state.currentTab === 'options-explorer') renderChain();
+  if (state.currentTab === 'options-explorer') {
+    renderChain();
+    renderVolatility();
+  }
+  if (state.currentTab === 'strategy') onStrategyTypeChange();
+}
+
+function onExerciseChange() {
+  state.exercise = document.getElementById('exerciseSelector').value;
+  refreshPricing();
+}
+
+// Re-price views that depend on exercise style or carry
+async function refreshPricing() {
+  await updateSpot();
+  if (state.currentTab === 'options-explorer') {
+    renderChain();
+    renderVolatility();
+  }
+  if (state.currentTab === 'strategy' && document.getElementById('greeksDisplay').innerHTML.trim()) onBuildStrategy();
+}
+
+// Spot from put-call parity on the DTOP chain, cross-checked against the underlying close
+async function updateSpot() {
+  const code = state.currentStock;
+  if (!state.currentStockData || !state.currentDate) return;
+  const priceData = await loadPriceData(code);
+  if (code !== state.currentStock) return; // stock changed while loading
+  const { exercise, method, ...carry } = pricingOpts();
+  state.spot = resolveSpot(state.currentStockData, priceData, state.currentDate, { r: currentCurve(), ...carry });
+  if (state.spot?.mismatch) {
+    console.warn(`⚠️ ${code}: parity spot ${state.spot.paritySpot.toFixed(2)} vs close ${state.spot.close} (${(state.spot.gap * 100).toFixed(1)}%)`);
+  }
+
+  // Parity bounds need a spot independent of the settles: a same-day close that matches the chain.
+  // Every series is scanned so weekly and RMB chains carry flags too
+  const close = state.spot && state.spot.closeDate === state.currentDate && !state.spot.mismatch ? state.spot.close : null;
+  state.arbitrage = checkArbitrage(state.currentStockData, state.currentDate, { spot: close, r: currentCurve(), series: null, ...carry });
+}
+
+// Contract keys to leave out of the strategy builder and IV models, when excluding is on
+function excludedContracts() {
+  return state.excludeArb && state.arbitrage ? state.arbitrage.flagged : null;
+}
+
+// Chain rows usable for strategies: rows with a flagged call or put are dropped when excluding
+function usableChain(chain, expiry) {
+  const flagged = excludedContracts();
+  if (!flagged) return chain;
+  return chain.filter(r => !flagged.has(contractKey(expiry, r.strike, 'call')) && !flagged.has(contractKey(expiry, r.strike, 'put')));
+}
+
+function onExcludeArbChange() {
+  state.excludeArb = document.getElementById('excludeArb').checked;
+  if (state.currentTab === 'strategy') onStrategyExpiryChange();
+  refreshPricing();
+}
+
+// Spot for a chain, falling back to the middle strike when neither parity nor a close is available
+function spotFor(chain) {
+  return state.spot?.spot ?? chain[Math.floor(chain.length / 2)].strike;
+}
+
+// Index of the ATM row in a chain
+function atmIndex(chain) {
+  return nearestStrikeIndex(chain.map(r => r.strike), spotFor(chain));
+}
+
+// Default carry from stock metadata (index.json divYield); cash dividends are user-entered
+function resetCarry() {
+  const meta = state.index.stocks.find(s => s.code === state.currentStock);
+  document.getElementById('carryDivYield').value = ((meta?.divYield || 0) * 100).toFixed(1);
+  document.getElementById('carryBorrow').value = '0';
+  document.getElementById('carryDivAmount').value = '';
+  document.getElementById('carryDivExDate').value = '';
+  readCarry();
+}
+
+function readCarry() {
+  const amount = parseFloat(document.getElementById('carryDivAmount').value);
+  const exDate = document.getElementById('carryDivExDate').value;
+  state.carry = {
+    q: (parseFloat(document.getElementById('carryDivYield').value) || 0) / 100,
+    borrow: (parseFloat(document.getElementById('carryBorrow').value) || 0) / 100,
+    dividends: amount > 0 && exDate ? [{ amount, exDate }] : []
+  };
+}
+
+function onCarryChange() {
+  readCarry();
+  refreshPricing();
+}
+
+// Tenor inputs for the curve in force on the current date; edits persist across dates
+function renderRateInputs() {
+  const curve = currentCurve();
+  document.getElementById('rateCurveDate').textContent = curve.date ? `fixing ${curve.date}` : 'flat default';
+  document.getElementById('rateInputs').innerHTML = curve.tenors.map(t => `
+    <div class="form-group">
+      <label for="rate-${t.tenor}">${t.tenor} (%)</label>
+      <input type="number" id="rate-${t.tenor}" data-tenor="${t.tenor}" value="${(t.rate * 100).toFixed(2)}" step="0.05">
+    </div>`).join('');
+}
+
+function onRateChange(e) {
+  const tenor = e.target.dataset.tenor;
+  const rate = parseFloat(e.target.value) / 100;
+  if (!tenor || !Number.isFinite(rate)) return;
+  state.rateOverride = { ...state.rateOverride, [tenor]: rate };
+  refreshPricing();
+}
+
+function onResetRates() {
+  state.rateOverride = {};
+  renderRateInputs();
+  refreshPricing();
+}
+
+// Expiries on the current date in the selected DTOP series (all series when none is selected)
+function visibleExpiries() {
+  return getExpiries(state.currentStockData, state.currentDate, state.series || null);
+}
+
+// Expiry date of a chain key, naming non-standard series (weekly, RMB, …)
+function expiryLabel(key) {
+  const series = getSeries(state.currentStockData, key);
+  return `${expiryDate(key)}${series === STANDARD_SERIES ? '' : ` · ${series}`}`;
+}
+
+// <option>s for expiry selectors, valued by chain key so same-day series stay apart
+function expiryOptions(expiries) {
+  return expiries.map(e => `<option value="${e}">${expiryLabel(e)}</option>`).join('');
+}
+
+// Series filter for the current stock; keeps the selection when the stock trades it
+function renderSeriesFilter() {
+  const codes = listSeries(state.currentStockData);
+  if (!codes.includes(state.series)) state.series = '';
+  const sel = document.getElementById('seriesFilter');
+  sel.innerHTML = '<option value="">All series</option>' +
+    codes.map(c => `<option value="${c}">${c === STANDARD_SERIES ? 'Monthly (SOM)' : c}</option>`).join('');
+  sel.value = state.series;
+  sel.disabled = codes.length < 2;
+}
+
+function onSeriesChange() {
+  state.series = document.getElementById('seriesFilter').value;
+  updateExpirySelectors();
+  if (state.currentTab === 'options-explorer') {
+    renderChain();
+    updatePredSelectors();
+  }
   if (state.currentTab === 'strategy') onStrategyTypeChange();
+  if (state.currentTab === 'stock-analysis') updateCandleSelectors();
 }
 
 function updateExpirySelectors() {
   if (!state.currentStockData || !state.currentDate) return;
 
-  const expiries = getExpiries(state.currentStockData, state.currentDate);
+  const expiries = visibleExpiries();
 
   // Chain tab expiry
   const expSel = document.getElementById('expirySelector');
-  expSel.innerHTML = expiries.map(e => `<option value="${e}">${e}</option>`).join('');
+  expSel.innerHTML = expiryOptions(expiries);
   if (expiries.length > 0) {
     expSel.value = expiries[0];
     if (state.currentTab === 'chain') renderChain();
@@ -191,12 +488,12 @@ function updateExpirySelectors() {
 
   // Strategy tab expiry
   const stratExpSel = document.getElementById('strategyExpiry');
-  stratExpSel.innerHTML = expiries.map(e => `<option value="${e}">${e}</option>`).join('');
+  stratExpSel.innerHTML = expiryOptions(expiries);
   if (expiries.length > 0) stratExpSel.value = expiries[0];
 
   // Trends tab expiry
   const trendExpSel = document.getElementById('trendExpiry');
-  trendExpSel.innerHTML = expiries.map(e => `<option value="${e}">${e}</option>`).join('');
+  trendExpSel.innerHTML = expiryOptions(expiries);
   if (expiries.length > 0) {
     trendExpSel.value = expiries[0];
     updateTrendStrikes();
@@ -273,6 +570,94 @@ function renderDashboard() {
 
   // Market chart
   renderMarketChart('marketChart', stocks);
+
+  renderScreener();
+  renderCacheStats();
+}
+
+// Persistent IndexedDB cache (cache.js): what is stored for this data build
+async function renderCacheStats() {
+  const stats = await cacheStats();
+  const el = document.getElementById('cacheStats');
+  if (!stats.available) {
+    el.innerHTML = '<p class="placeholder-text">Browser storage unavailable — files are downloaded on every visit.</p>';
+    return;
+  }
+  const mb = bytes => (bytes / 1024 / 1024).toFixed(1) + ' MB';
+  const recent = stats.files.slice(0, 5).map(f => f.key.replace('/data/', '')).join(', ');
+  el.innerHTML = `
+    <div class="metric-row">
+      <div class="metric"><span class="metric-label">Files</span><span class="metric-value">${stats.entries}</span></div>
+      <div class="metric"><span class="metric-label">Size</span><span class="metric-value">${mb(stats.bytes)}</span></div>
+      <div class="metric"><span class="metric-label">Limit</span><span class="metric-value">${mb(stats.maxBytes)}</span></div>
+    </div>
+    <p class="chart-note">Data build <code>${stats.build ?? '—'}</code>; least recently used files are evicted past the limit.${recent ? ` Recent: ${recent}` : ''}</p>
+  `;
+}
+
+async function onClearCache() {
+  await clearCache();
+  renderCacheStats();
+}
+
+// Universe IV rank / percentile table, sortable by any column
+async function renderScreener() {
+  const el = document.getElementById('ivScreenerTable');
+  if (!state.screener) state.screener = await loadScreener();
+  if (!state.screener) {
+    el.innerHTML = '<p class="placeholder-text">No screener data. Run <code>npm run build:screener</code> first.</p>';
+    return;
+  }
+
+  const { key, dir } = state.screenerSort;
+  const rows = [...state.screener.stocks].sort((a, b) =>
+    key === 'code' ? dir * a.code.localeCompare(b.code) : dir * (a[key] - b[key]));
+  const pct = v => (v * 100).toFixed(1) + '%';
+  const verdict = r => r.ivRank >= 70 ? '<span class="negative">Rich</span>' : r.ivRank <= 30 ? '<span class="positive">Cheap</span>' : '—';
+  const th = (k, label) => `<th class="sortable ${k === key ? 'sorted' : ''}" data-sort="${k}">${label}${k === key ? (dir > 0 ? ' ▲' : ' ▼') : ''}</th>`;
+
+  el.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          ${th('code', 'Stock')}
+          ${th('iv30', `IV ${state.screener.tenorDays}d`)}
+          ${th('ivRank', 'IV Rank')}
+          ${th('ivPercentile', 'IV Percentile')}
+          ${th('low', 'Low')}
+          ${th('high', 'High')}
+          <th>Options</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(r => `
+          <tr class="clickable" data-stock="${r.code}">
+            <td><strong>${r.code}</strong> <span style="color:var(--text-muted);font-size:0.7rem">${r.name}</span></td>
+            <td>${pct(r.iv30)}</td>
+            <td>${r.ivRank.toFixed(0)}</td>
+            <td>${r.ivPercentile.toFixed(0)}</td>
+            <td>${pct(r.low)}</td>
+            <td>${pct(r.high)}</td>
+            <td>${verdict(r)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  el.querySelectorAll('th.sortable').forEach(header => {
+    header.addEventListener('click', () => {
+      const k = header.dataset.sort;
+      state.screenerSort = { key: k, dir: k === key ? -dir : (k === 'code' ? 1 : -1) };
+      renderScreener();
+    });
+  });
+  el.querySelectorAll('.clickable').forEach(row => {
+    row.addEventListener('click', () => {
+      document.getElementById('stockSelector').value = row.dataset.stock;
+      onStockChange();
+    });
+  });
 }
 
 // ============ Options Chain ============
@@ -293,15 +678,57 @@ function renderChain() {
     return;
   }
 
-  // Find ATM (approximate — use middle of chain)
   const strikes = chain.map(r => r.strike);
-  const midStrike = strikes[Math.floor(strikes.length / 2)];
-  const dte = daysToExpiry(expiry, state.currentDate);
+  const spot = spotFor(chain);
+  const forward = state.spot?.forwards[expiry]?.forward;
+  const dte = daysToExpiry(expiryDate(expiry), state.currentDate);
+  const T = yearFraction(expiryDate(expiry), state.currentDate);
+  const opts = pricingOpts();
+  const suspects = new Map();
+  for (const v of state.arbitrage?.violations || []) {
+    if (v.suspect.expiry !== expiry) continue;
+    const key = contractKey(expiry, v.suspect.strike, v.suspect.type);
+    suspects.set(key, [...(suspects.get(key) || []), `${v.kind}: ${v.detail}`]);
+  }
+  const adjBadge = adj => adj
+    ? `<span class="adj-flag" title="Adjusted ${adj.effective}${adj.reason ? ` — ${adj.reason}` : ''}: strike ×${adj.factor}${adj.multiplier ? `, contract size ${adj.multiplier.before} → ${adj.multiplier.after}` : ''}">ADJ</span>`
+    : '';
+  const arbBadge = (strike, type) => {
+    const reasons = suspects.get(contractKey(expiry, strike, type));
+    return reasons ? `<span class="arb-flag" title="${reasons.join('\n')}">ARB</span>` : '';
+  };
+  // DTOP daily OI change; '—' for format 1 data, which doesn't carry it
+  const fmtOIChange = chg => chg === null ? '—' : chg === 0 ? '0' : `${chg > 0 ? '+' : ''}${chg.toLocaleString()}`;
+  const oiChangeClass = chg => chg > 0 ? 'positive' : chg < 0 ? 'negative' : '';
+  // Precomputed IVs when the analytics file covers this date and pricing; PCR and max pain don't depend on pricing
+  const slice = state.analytics?.dates[state.currentDate]?.expiries[expiry];
+  const precomputed = slice && matchingAnalytics() ? new Map(slice.rows.map(r => [r.k, r])) : null;
+  const pcr = slice ? slice.pcr : putCallRatio(chain);
+  const pain = slice ? slice.maxPain : maxPain(chain);
+  const fmtIV = (settle, strike, type) => {
+    if (settle <= 0) return '—';
+    const row = precomputed?.get(strike);
+    if (row) {
+      const iv = row[type === 'call' ? 'c' : 'p'][0];
+      return iv === null ? '<span class="iv-flag" title="no converged IV">n/a</span>' : (iv * 100).toFixed(1) + '%';
+    }
+    const { iv, status } = impliedVolatility(settle, spot, strike, T, currentCurve(), type, opts);
+    if (status !== 'converged') return `<span class="iv-flag" title="${status.replace(/_/g, ' ')}">n/a</span>`;
+    return (iv * 100).toFixed(1) + '%';
+  };
 
   document.getElementById('chainInfo').innerHTML = `
     <span><strong>Strikes:</strong> ${strikes.length}</span>
-    <span><strong>DTE:</strong> ${dte} days</span>
-    <span><strong>Expiry:</strong> ${expiry}</span>
+    <span><strong>DTE:</strong> ${dte} days (${tradingDays(expiryDate(expiry), state.currentDate)} trading)</span>
+    <span><strong>Expiry:</strong> ${expiryLabel(expiry)}</span>
+    <span><strong>Spot:</strong> ${spot.toFixed(2)}${state.spot ? ` (${state.spot.source})` : ''}</span>
+    ${forward ? `<span><strong>Forward:</strong> ${forward.toFixed(2)}</span>` : ''}
+    ${pcr !== null ? `<span><strong>P/C OI:</strong> ${pcr.toFixed(2)}</span>` : ''}
+    ${pain !== null ? `<span title="Strike at which expiring options pay holders the least"><strong>Max Pain:</strong> ${pain}</span>` : ''}
+    ${precomputed ? `<span title="Chain IVs read from data/analytics/${state.currentStock}.json (built ${state.analytics.generated.slice(0, 10)})"><strong>IV:</strong> precomputed</span>` : ''}
+    ${suspects.size ? `<span class="negative"><strong>Arbitrage:</strong> ${suspects.size} contracts flagged</span>` : ''}
+    ${state.spot?.mismatch ? `<span class="negative" title="Parity spot and underlying close disagree"><strong>Close:</strong> ${state.spot.close} (${(state.spot.gap * 100).toFixed(1)}%)</span>` : ''}
+    <span><strong>Div Yield:</strong> ${(state.carry.q * 100).toFixed(1)}%</span>
   `;
 
   const table = `
@@ -309,29 +736,37 @@ function renderChain() {
       <thead>
         <tr>
           <th class="call-header">OI</th>
+          <th class="call-header">OI Chg</th>
           <th class="call-header">Volume</th>
           <th class="call-header">Settle</th>
           <th class="call-header">Chg</th>
+          <th class="call-header">IV</th>
           <th class="strike-header">STRIKE</th>
+          <th class="put-header">IV</th>
           <th class="put-header">Chg</th>
           <th class="put-header">Settle</th>
           <th class="put-header">Volume</th>
+          <th class="put-header">OI Chg</th>
           <th class="put-header">OI</th>
         </tr>
       </thead>
       <tbody>
         ${chain.map(row => {
-    const isCallITM = row.call.settle > row.put.settle;
+    const isCallITM = row.strike < spot;
     return `
           <tr class="${isCallITM ? 'itm-call' : 'itm-put'}">
             <td class="call-cell">${row.call.net.toLocaleString()}</td>
+            <td class="call-cell ${oiChangeClass(row.call.oiChange)}">${fmtOIChange(row.call.oiChange)}</td>
             <td class="call-cell">${row.call.turnover || '—'}</td>
-            <td class="call-cell" style="font-weight:600">${row.call.settle.toFixed(2)}</td>
+            <td class="call-cell" style="font-weight:600">${row.call.settle.toFixed(2)}${arbBadge(row.strike, 'call')}</td>
             <td class="call-cell ${row.call.priceChg >= 0 ? 'positive' : 'negative'}">${row.call.priceChg >= 0 ? '+' : ''}${row.call.priceChg.toFixed(2)}</td>
-            <td class="strike-cell">${row.strike}</td>
+            <td class="call-cell">${fmtIV(row.call.settle, row.strike, 'call')}</td>
+            <td class="strike-cell">${row.strike}${adjBadge(row.adjustment)}</td>
+            <td class="put-cell">${fmtIV(row.put.settle, row.strike, 'put')}</td>
             <td class="put-cell ${row.put.priceChg >= 0 ? 'positive' : 'negative'}">${row.put.priceChg >= 0 ? '+' : ''}${row.put.priceChg.toFixed(2)}</td>
-            <td class="put-cell" style="font-weight:600">${row.put.settle.toFixed(2)}</td>
+            <td class="put-cell" style="font-weight:600">${row.put.settle.toFixed(2)}${arbBadge(row.strike, 'put')}</td>
             <td class="put-cell">${row.put.turnover || '—'}</td>
+            <td class="put-cell ${oiChangeClass(row.put.oiChange)}">${fmtOIChange(row.put.oiChange)}</td>
             <td class="put-cell">${row.put.net.toLocaleString()}</td>
           </tr>`;
   }).join('')}
@@ -358,18 +793,17 @@ function onStrategyExpiryChange() {
 
   if (!strategy || !expiry || !state.currentStockData || !state.currentDate) return;
 
-  const chain = getChain(state.currentStockData, state.currentDate, expiry);
+  const chain = usableChain(getChain(state.currentStockData, state.currentDate, expiry), expiry);
   if (chain.length === 0) return;
 
   const strikes = chain.map(r => r.strike);
-  const midIdx = Math.floor(strikes.length / 2);
+  const midIdx = atmIndex(chain);
 
   // Build leg configuration UI
   const legsDiv = document.getElementById('strategyLegs');
   legsDiv.innerHTML = strategy.legs.map((leg, i) => {
     if (leg.type === 'stock') {
-      // Use ATM call settle as proxy for stock price
-      const approxPrice = chain[midIdx]?.strike || 0;
+      const approxPrice = spotFor(chain).toFixed(2);
       return `
         <div class="leg-config">
           <div class="leg-title">${leg.label}</div>
@@ -422,7 +856,7 @@ function onStrategyExpiryChange() {
   });
 }
 
-function onBuildStrategy() {
+async function onBuildStrategy() {
   const stratType = document.getElementById('strategyType').value;
   const strategy = STRATEGIES[stratType];
   const expiry = document.getElementById('strategyExpiry').value;
@@ -432,6 +866,8 @@ function onBuildStrategy() {
   const legsDiv = document.getElementById('strategyLegs');
   const legs = [];
   let spotPrice = 0;
+  const contract = contractSpec();
+  const chain = getChain(state.currentStockData, state.currentDate, expiry);
 
   strategy.legs.forEach((legDef, i) => {
     const strikeEl = legsDiv.querySelector(`.leg-strike[data-leg="${i}"]`);
@@ -443,46 +879,141 @@ function onBuildStrategy() {
     } else {
       const premiumEl = legsDiv.querySelector(`.leg-premium[data-leg="${i}"]`);
       const premium = parseFloat(premiumEl?.value || 0);
-      if (!spotPrice) spotPrice = strike; // fallback
-      legs.push({ type: legDef.type, direction: legDef.direction, strike, premium });
+      if (!spotPrice) spotPrice = state.spot?.spot ?? strike; // no stock leg
+      const leg = { type: legDef.type, direction: legDef.direction, strike, premium };
+      // Adjusted contracts trade in the notice's size (old size ÷ factor without one)
+      const adj = chain.find(r => Math.abs(r.strike - strike) < 0.001)?.adjustment;
+      const size = adj ? adj.multiplier?.after ?? (contract.multiplier ? contract.multiplier / adj.factor : null) : null;
+      if (size) leg.multiplier = size;
+      legs.push(leg);
     }
   });
 
   if (legs.length === 0 || spotPrice <= 0) return;
 
-  // Calculate payoff
-  const payoffData = calculatePayoff(legs, spotPrice);
-  const metrics = strategyMetrics(legs, spotPrice);
+  // Calculate payoff, per contract when the contract size is known
+  const payoffData = calculatePayoff(legs, spotPrice, 100, contract.multiplier ?? 1);
+  const metrics = strategyMetrics(legs, spotPrice, contract.multiplier ?? 1);
 
   // Render payoff chart
-  renderPayoffChart('payoffChart', payoffData, metrics.breakevens);
+  renderPayoffChart('payoffChart', payoffData, metrics.breakevens, contract);
 
   // Render metrics
+  const adjustedSizes = [...new Set(legs.filter(l => l.multiplier).map(l => Math.round(l.multiplier).toLocaleString()))];
+  const money = v => v === 'Unlimited' ? v : `${contract.currency} ${Number(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   document.getElementById('strategySummary').innerHTML = `
     <div class="metric"><span class="metric-label">Strategy</span><span class="metric-value">${strategy.name}</span></div>
-    <div class="metric"><span class="metric-label">Max Profit</span><span class="metric-value positive">${metrics.maxProfit}</span></div>
-    <div class="metric"><span class="metric-label">Max Loss</span><span class="metric-value negative">${metrics.maxLoss}</span></div>
+    <div class="metric"><span class="metric-label">Contract</span><span class="metric-value">${contract.multiplier ? `${contract.multiplier.toLocaleString()} shares` : 'Per share (size unknown)'}${adjustedSizes.length ? ` <small>(adjusted legs: ${adjustedSizes.join(' / ')} shares)</small>` : ''}</span></div>
+    <div class="metric"><span class="metric-label">Max Profit</span><span class="metric-value positive">${money(metrics.maxProfit)}</span></div>
+    <div class="metric"><span class="metric-label">Max Loss</span><span class="metric-value negative">${money(metrics.maxLoss)}</span></div>
     <div class="metric"><span class="metric-label">Breakeven</span><span class="metric-value">${metrics.breakevens.join(', ') || '—'}</span></div>
-    <div class="metric"><span class="metric-label">Net Premium</span><span class="metric-value">${metrics.netPremium}</span></div>
+    <div class="metric"><span class="metric-label">Net Premium</span><span class="metric-value">${money(metrics.netPremium)}${contract.multiplier ? ` <small>(${metrics.netPremiumPerShare}/share)</small>` : ''}</span></div>
     <div class="metric"><span class="metric-label">Risk/Reward</span><span class="metric-value">${metrics.riskReward}</span></div>
-    <div class="metric"><span class="metric-label">Expiry</span><span class="metric-value">${expiry}</span></div>
-    <div class="metric"><span class="metric-label">DTE</span><span class="metric-value">${daysToExpiry(expiry, state.currentDate)} days</span></div>
+    <div class="metric"><span class="metric-label">Expiry</span><span class="metric-value">${expiryLabel(expiry)}</span></div>
+    <div class="metric"><span class="metric-label">DTE</span><span class="metric-value">${daysToExpiry(expiryDate(expiry), state.currentDate)} days (${tradingDays(expiryDate(expiry), state.currentDate)} trading)</span></div>
+    <div class="metric"><span class="metric-label">Exercise</span><span class="metric-value">${pricingOpts().exercise === 'american' ? 'American' : 'European'}</span></div>
   `;
 
-  // Greeks
-  const T = daysToExpiry(expiry, state.currentDate) / 365;
-  const r = 0.04; // ~4% risk-free rate
-  const sigma = 0.3; // approximate
-  const g = strategyGreeks(legs, spotPrice, T, r, sigma);
+  // Greeks — each leg priced off the fitted smile when one is available,
+  // otherwise a flat 30%
+  const T = yearFraction(expiryDate(expiry), state.currentDate);
+  const r = currentCurve();
+  const sigma = 0.3;
+  const smile = await strategySmile(expiry);
+  const greekSpot = smile?.spot ?? state.spot?.spot ?? spotPrice;
+  if (smile) {
+    legs.forEach(leg => { if (leg.type !== 'stock') leg.sigma = smileVol(smile, leg.strike); });
+  }
+  const g = strategyGreeks(legs, greekSpot, T, r, sigma, pricingOpts());
+  // Kept for the Monte Carlo scenarios; the ATM smile vol drives the path models
+  state.position = { legs, expiry, spot: greekSpot, T, r, sigma: smile ? smileVol(smile, smile.forward) : sigma, pricing: pricingOpts(), contract };
+
+  const legIVs = legs.filter(l => l.type !== 'stock').map(l => ((l.sigma ?? sigma) * 100).toFixed(1) + '%');
+  document.getElementById('strategySummary').insertAdjacentHTML('beforeend', `
+    <div class="metric"><span class="metric-label">Leg IV (${smile ? `${smile.model.toUpperCase()} smile` : 'flat'})</span><span class="metric-value">${legIVs.join(' / ')}</span></div>
+  `);
+
+  // Higher-order Greeks are small; switch to exponent notation below 4 d.p.
+  const fmtGreek = v => v === 0 || Math.abs(v) >= 0.0001 ? v.toFixed(4) : v.toExponential(2);
+  const greekCard = (symbol, value, name) =>
+    `<div class="greek-card"><div class="greek-symbol">${symbol}</div><div class="greek-value">${fmtGreek(value)}</div><div class="greek-name">${name}</div></div>`;
 
   document.getElementById('greeksDisplay').innerHTML = `
-    <div class="greek-card"><div class="greek-symbol">Δ</div><div class="greek-value">${g.delta.toFixed(4)}</div><div class="greek-name">Delta</div></div>
-    <div class="greek-card"><div class="greek-symbol">Γ</div><div class="greek-value">${g.gamma.toFixed(4)}</div><div class="greek-name">Gamma</div></div>
-    <div class="greek-card"><div class="greek-symbol">Θ</div><div class="greek-value">${g.theta.toFixed(4)}</div><div class="greek-name">Theta</div></div>
-    <div class="greek-card"><div class="greek-symbol">ν</div><div class="greek-value">${g.vega.toFixed(4)}</div><div class="greek-name">Vega</div></div>
+    <div class="greeks-grid">
+      ${greekCard('Δ', g.delta, 'Delta')}
+      ${greekCard('Γ', g.gamma, 'Gamma')}
+      ${greekCard('Θ', g.theta, 'Theta / day')}
+      ${greekCard('ν', g.vega, 'Vega / vol pt')}
+      ${greekCard('ρ', g.rho, 'Rho / rate pt')}
+    </div>
+    <div class="greeks-grid greeks-higher">
+      ${greekCard('∂Δ/∂σ', g.vanna, 'Vanna')}
+      ${greekCard('∂ν/∂σ', g.volga, 'Volga')}
+      ${greekCard('∂Δ/∂t', g.charm, 'Charm / day')}
+      ${greekCard('∂Γ/∂S', g.speed, 'Speed')}
+      ${greekCard('∂Γ/∂t', g.color, 'Color / day')}
+      ${greekCard('∂Γ/∂σ', g.zomma, 'Zomma')}
+    </div>
   `;
 }
 
+// ============ Monte Carlo Scenarios ============
+
+const MC_MODEL_NOTES = {
+  gbm: 'Lognormal paths at the ATM smile vol, risk-neutral drift.',
+  merton: 'ATM smile vol plus one jump a year on average (mean −5%, 10% jump vol), risk-neutral drift.',
+  heston: 'Variance starts and mean-reverts (κ = 2) to the ATM smile variance, vol of vol 0.5, ρ = −0.7, risk-neutral drift.',
+  bootstrap: 'Daily log returns resampled from the last year of closes — real-world drift and fat tails as they happened.'
+};
+
+async function onRunMonteCarlo() {
+  const noteEl = document.getElementById('mcNote');
+  const pos = state.position;
+  if (!pos) {
+    noteEl.textContent = 'Build a strategy first — the scenarios revalue its legs.';
+    return;
+  }
+
+  const model = document.getElementById('mcModel').value;
+  // Horizons past expiry stop at expiry, where the legs are worth intrinsic
+  const toExpiry = Math.max(1, Math.round(tradingDays(expiryDate(pos.expiry), state.currentDate)));
+  const days = Math.min(Math.max(1, parseInt(document.getElementById('mcDays').value) || 5), toExpiry);
+  const params = {};
+  if (model === 'bootstrap') {
+    const priceData = await loadPriceData(state.currentStock);
+    params.returns = historicalReturns(priceData);
+    if (params.returns.length < 20) {
+      noteEl.textContent = 'Not enough underlying price history to bootstrap. Please run fetch_prices.py first.';
+      return;
+    }
+  }
+
+  noteEl.textContent = 'Simulating...';
+  await new Promise(resolve => setTimeout(resolve, 0)); // let the note paint
+  const result = simulatePosition(pos.legs, {
+    spot: pos.spot, days, expiryT: pos.T, r: pos.r, sigma: pos.sigma, model, params,
+    nPaths: Math.max(1000, parseInt(document.getElementById('mcPaths').value) || 10000),
+    seed: parseInt(document.getElementById('mcSeed').value) || 1,
+    antithetic: document.getElementById('mcAntithetic').checked,
+    pricing: pos.pricing,
+    multiplier: pos.contract.multiplier ?? 1
+  });
+  renderPnlHistogramChart('mcChart', result, pos.contract);
+
+  const fmt = v => (v >= 0 ? '+' : '') + v.toFixed(2);
+  const cls = v => v >= 0 ? 'positive' : 'negative';
+  const metric = (label, value, c = '') => `<div class="metric"><span class="metric-label">${label}</span><span class="metric-value ${c}">${value}</span></div>`;
+  document.getElementById('mcStats').innerHTML = [
+    metric('Mean P&L', `${fmt(result.mean)} <small>± ${result.stderr.toFixed(2)}</small>`, cls(result.mean)),
+    metric('Prob. of Profit', (result.probProfit * 100).toFixed(1) + '%'),
+    metric('Expected Shortfall (5%)', fmt(result.expectedShortfall), cls(result.expectedShortfall)),
+    metric('5th Percentile', fmt(result.percentiles[5]), cls(result.percentiles[5])),
+    metric('Median', fmt(result.percentiles[50]), cls(result.percentiles[50])),
+    metric('95th Percentile', fmt(result.percentiles[95]), cls(result.percentiles[95]))
+  ].join('');
+  noteEl.textContent = `${result.nPaths.toLocaleString()} paths over ${days} trading day${days > 1 ? 's' : ''} from ${pos.contract.currency} ${pos.spot.toFixed(2)}${days === toExpiry ? ' (to expiry)' : ''}. ${MC_MODEL_NOTES[model]} Open option legs are revalued at their own smile vols. P&L is ${pos.contract.currency} per ${pos.contract.multiplier ? `contract of ${pos.contract.multiplier.toLocaleString()} shares` : 'share (contract size unknown)'}.`;
+}
+
 // ============ Trends ============
 function updateTrendStrikes() {
   const expiry = document.getElementById('trendExpiry').value;
@@ -494,11 +1025,8 @@ function updateTrendStrikes() {
     `<option value="${r.strike}">${r.strike}</option>`
   ).join('');
 
-  // Default to mid-strike
-  if (chain.length > 0) {
-    const midIdx = Math.floor(chain.length / 2);
-    strikeSel.value = chain[midIdx].strike;
-  }
+  // Default to the ATM strike
+  if (chain.length > 0) strikeSel.value = chain[atmIndex(chain)].strike;
 }
 
 function onTrendExpiryChange() {
@@ -518,12 +1046,57 @@ function renderTrends() {
   renderOIChart('oiChart', oiHistory);
   renderPCRChart('pcrChart', oiHistory);
   renderVolumeChart('volumeChart', oiHistory);
+  renderOIChangeChart('oiChangeChart', oiHistory);
+  document.getElementById('oiChangeNote').textContent = hasOIChange()
+    ? ''
+    : 'This data build predates OI change (format 1). Rebuild it with npm run build:data -- --full.';
 
   // Settlement history
   renderSettlement();
+  renderImpliedDividends();
 }
 
-function renderSettlement() {
+// Parity-implied dividend yield per expiry against the underlying close
+async function renderImpliedDividends() {
+  const code = state.currentStock;
+  const noteEl = document.getElementById('impliedDivNote');
+  const priceData = await loadPriceData(code);
+  if (code !== state.currentStock) return;
+
+  const history = impliedDividendHistory(state.currentStockData, priceData, historyRates());
+  const published = state.index.stocks.find(s => s.code === code)?.divYield || null;
+  renderImpliedDividendChart('impliedDivChart', history, published);
+  if (history.dates.length === 0) {
+    noteEl.textContent = priceData
+      ? 'Underlying closes do not match this chain (parity spot and close disagree), so no yield can be implied.'
+      : 'No underlying prices. Please run fetch_prices.py first.';
+    return;
+  }
+
+  const latest = history.dates[history.dates.length - 1];
+  const points = impliedDividends(state.currentStockData, priceData, latest, { r: currentCurve(latest), q: state.carry.q });
+  noteEl.innerHTML = `<strong>${latest}:</strong> ` + points.map(p =>
+    `${p.expiry} ${(p.yield * 100).toFixed(2)}% (PV $${p.dividendPV.toFixed(2)}, borrow ${(p.borrow * 100).toFixed(2)}%)`
+  ).join(' · ');
+}
+
+// Settlement history of a contract picked on the current date, followed across
+// contract adjustments (loading the class that held it on the other side)
+async function contractHistory(expiry, strike, type) {
+  await loadFullHistory();
+  const stockData = state.currentStockData;
+  const classes = {};
+  for (const code of linkedClasses(stockData, state.currentStock)) {
+    try {
+      classes[code] = await loadStockData(code);
+    } catch (err) {
+      console.warn(`Adjusted contract history: ${code} unavailable`, err);
+    }
+  }
+  return getSettlementHistory(stockData, expiry, strike, type, { asOf: state.currentDate, classes });
+}
+
+async function renderSettlement() {
   if (!state.currentStockData) return;
 
   const expiry = document.getElementById('trendExpiry').value;
@@ -532,19 +1105,276 @@ function renderSettlement() {
 
   if (!expiry || isNaN(strike)) return;
 
-  const series = getSettlementHistory(state.currentStockData, expiry, strike, type);
+  const code = state.currentStock;
+  const series = await contractHistory(expiry, strike, type);
+  if (code !== state.currentStock) return; // stock changed while loading
+  const noteEl = document.getElementById('settlementNote');
+  noteEl.textContent = '';
   if (series.length > 0) {
     renderSettlementChart('settlementChart', series);
+    const rescaled = series.filter(p => p.adjusted);
+    if (rescaled.length) {
+      const events = state.currentStockData.adjustments.map(a => `${a.effective}${a.reason ? ` ${a.reason}` : ''} (×${a.factor})`).join('; ');
+      noteEl.textContent = `Contract adjusted — ${events}. Hollow points traded at strike ${[...new Set(rescaled.map(p => p.strike))].join(', ')} ` +
+        `and are rescaled to the terms on ${state.currentDate}.`;
+    }
+  }
+}
+
+// ============ Volatility ============
+
+// IV surface for the current stock, date and pricing settings; cached until one changes
+async function currentSurface() {
+  const code = state.currentStock;
+  const key = JSON.stringify([code, state.currentDate, pricingOpts(), state.rateOverride, state.excludeArb]);
+  if (state.surfaceKey === key) return state.surface;
+
+  const priceData = await loadPriceData(code);
+  if (code !== state.currentStock) return null; // stock changed while loading
+  const exclude = excludedContracts();
+  state.surface = getSurface(state.currentStockData, priceData, state.currentDate, { r: currentCurve(), ...pricingOpts(), exclude });
+  state.surfaceKey = key;
+  return state.surface;
+}
+
+// SVI slice for a strategy expiry, or null without price data / enough points
+async function strategySmile(expiry) {
+  const surface = await currentSurface();
+  const slice = surface?.expiries.find(e => e.expiry === expiry);
+  if (!slice) return null;
+  const { exercise, method, ...carry } = pricingOpts();
+  const fit = fitSmile(surface.points.filter(p => p.expiry === expiry),
+    { ...slice, spot: surface.spot, r: currentCurve(), carry, model: 'svi' });
+  return fit && fit.model !== 'flat' ? fit : null;
+}
+
+async function renderVolatility() {
+  if (!state.currentStockData || !state.currentDate) return;
+  if (!document.getElementById('sub-volatility').classList.contains('active')) return;
+
+  const code = state.currentStock;
+  const noteEl = document.getElementById('volSurfaceNote');
+  noteEl.textContent = 'Solving implied volatilities...';
+  const surface = await currentSurface();
+  if (code !== state.currentStock) return;
+  if (!surface) {
+    state.smiles = null;
+    noteEl.textContent = `No spot for ${code} on ${state.currentDate}: no call/put pair for parity and no underlying close.`;
+    document.getElementById('smileFitTable').innerHTML = '';
+    renderDensities();
+    return;
+  }
+
+  const model = document.getElementById('smileModel').value;
+  const { exercise, method, ...carry } = pricingOpts();
+  state.smiles = model === 'none' ? null : fitSmiles(surface, { model, r: currentCurve(), ...carry });
+  renderVolSurface();
+  renderSmileFits();
+  renderDensities();
+  renderAtmVol();
+
+  const d = surface.dropped;
+  const spotLabel = surface.spotInfo.source === 'parity' ? 'put-call parity' : `close ${surface.spotInfo.closeDate}`;
+  noteEl.textContent = `Spot $${surface.spot.toFixed(2)} (${spotLabel}) — ${surface.points.length} points across ${surface.expiries.length} expiries. ` +
+    `Dropped: ${d.stale} at floor, ${d.illiquid} illiquid, ${d.itm} ITM, ${d.arbitrage} arbitrage-flagged, ${d.solver} unsolvable.`;
+}
+
+function renderVolSurface() {
+  if (!state.surface) return;
+  const curves = state.smiles?.map(fit => ({ expiry: fit.expiry, points: smileCurve(fit) }));
+  renderVolSurfaceChart('volSurfaceChart', state.surface, document.getElementById('volAxis').value, curves);
+}
+
+function renderSmileFits() {
+  const el = document.getElementById('smileFitTable');
+  if (!state.smiles) {
+    el.innerHTML = '';
+    return;
+  }
+
+  const fmtParams = fit => Object.entries(fit.params)
+    .filter(([k]) => k !== 'beta')
+    .map(([k, v]) => `${k} ${v.toFixed(3)}`).join(', ');
+  const flag = ok => ok ? '<span class="positive">✓</span>' : '<span class="negative">✗</span>';
+  el.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Expiry</th>
+          <th>Model</th>
+          <th>Parameters</th>
+          <th>Points</th>
+          <th>RMSE</th>
+          <th>Max Error</th>
+          <th>Butterfly</th>
+          <th>Calendar</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${state.smiles.map(fit => `
+          <tr>
+            <td><strong>${fit.expiry}</strong> <span style="color:var(--text-muted);font-size:0.7rem">${fit.dte}d</span></td>
+            <td>${fit.model.toUpperCase()}</td>
+            <td style="font-size:0.75rem">${fmtParams(fit)}</td>
+            <td>${fit.residuals.length}</td>
+            <td>${(fit.rmse * 100).toFixed(2)} pts</td>
+            <td>${(fit.maxError * 100).toFixed(2)} pts</td>
+            <td>${flag(fit.arbitrage.butterfly && fit.arbitrage.lee)}</td>
+            <td>${flag(fit.arbitrage.calendar)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// ATM vol history for the whole stock file; recomputed only when the stock or pricing changes
+async function renderAtmVol() {
+  const code = state.currentStock;
+  const { exercise, method, ...carry } = pricingOpts();
+  const key = JSON.stringify([code, state.exercise, state.carry, state.rateOverride]);
+  if (state.atmHistoryKey !== key) {
+    const priceData = await loadPriceData(code);
+    if (code !== state.currentStock) return;
+    const opts = { ...historyRates(), exercise, method, ...carry };
+    const analytics = matchingAnalytics();
+    state.atmHistory = analytics
+      ? atmHistoryFromAnalytics(analytics, priceData, opts)
+      : atmVolHistory(state.currentStockData, priceData, opts);
+    state.atmHistoryKey = key;
+
+    const dateSel = document.getElementById('termDate');
+    dateSel.innerHTML = [...state.atmHistory.dates].reverse().map(d => `<option value="${d}">${d}</option>`).join('');
+  }
+  document.getElementById('termDate').value = state.currentDate;
+
+  const h = state.atmHistory;
+  renderAtmVolHistoryChart('atmVolChart', h);
+  const inverted = h.dates.filter((_, i) => h.front[i] !== null && h.cm3m[i] !== null && h.front[i] > h.cm3m[i]);
+  document.getElementById('atmVolNote').textContent = inverted.length
+    ? `Front month above 3M constant maturity (inverted) on ${inverted.length} of ${h.dates.length} days, latest ${inverted[inverted.length - 1]}.`
+    : 'Front month below 3M constant maturity on every day (normal term structure).';
+  renderTermStructure();
+}
+
+// atmVolHistory read from the analytics file, solving only the dates it doesn't cover yet
+function atmHistoryFromAnalytics(analytics, priceData, opts) {
+  const dates = getDates(state.currentStockData);
+  const h = { dates, front: [], second: [], cm3m: [] };
+  for (const date of dates) {
+    const atm = analytics.dates[date]?.atm ?? atmVolPoint(state.currentStockData, priceData, date, withDateRate(opts, date));
+    h.front.push(atm.front);
+    h.second.push(atm.second);
+    h.cm3m.push(atm.cm3m);
+  }
+  return h;
+}
+
+async function renderTermStructure() {
+  const date = document.getElementById('termDate').value;
+  if (!date || !state.currentStockData) return;
+  const code = state.currentStock;
+  const priceData = await loadPriceData(code);
+  if (code !== state.currentStock) return;
+
+  const { exercise, method, ...carry } = pricingOpts();
+  const term = atmTermStructure(state.currentStockData, priceData, date, { r: currentCurve(date), exercise, method, ...carry });
+  renderTermStructureChart('termStructureChart', term, date);
+
+  const noteEl = document.getElementById('termStructureNote');
+  if (term.length < 2) {
+    noteEl.textContent = 'Not enough expiries with a solvable ATM vol on this date.';
+    return;
   }
+  const cm3m = constantMaturityVol(term);
+  const front = term[0];
+  noteEl.textContent = `Front ${front.expiry} ${(front.iv * 100).toFixed(1)}%` +
+    (cm3m !== null ? ` vs 3M ${(cm3m * 100).toFixed(1)}% — ${front.iv > cm3m ? 'inverted' : 'normal (upward sloping)'}` : '') + '.';
+}
+
+function renderDensities() {
+  const tableEl = document.getElementById('densityTable');
+  if (!state.smiles || !state.surface) {
+    tableEl.innerHTML = '<p class="placeholder-text">Fit a smile to see the implied distribution.</p>';
+    return;
+  }
+
+  const densities = state.smiles.map(fit => densityFromSmile(fit));
+  const spot = state.surface.spot;
+  const level = parseFloat(document.getElementById('densityLevel').value) || spot;
+  renderDensityChart('densityChart', densities, { spot });
+
+  const pct = v => (v * 100).toFixed(1) + '%';
+  tableEl.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Expiry</th>
+          <th>Mean</th>
+          <th>Std Dev</th>
+          <th>Skew</th>
+          <th>Kurtosis</th>
+          <th>P(below $${level.toFixed(2)})</th>
+          <th>P(above $${level.toFixed(2)})</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${densities.map(d => `
+          <tr>
+            <td><strong>${d.expiry}</strong></td>
+            <td>$${d.mean.toFixed(2)}</td>
+            <td>$${d.stdev.toFixed(2)}</td>
+            <td class="${d.skewness >= 0 ? 'positive' : 'negative'}">${d.skewness.toFixed(2)}</td>
+            <td>${d.kurtosis.toFixed(2)}</td>
+            <td class="put-col">${pct(probBelow(d, level))}</td>
+            <td class="call-col">${pct(probAbove(d, level))}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Risk-neutral density at a forecast horizon, read off the first expiry at or beyond it
+async function marketDensity(toDate) {
+  if (!state.currentStockData || !state.currentDate) return null;
+  const surface = await currentSurface();
+  if (!surface) return null;
+  const { exercise, method, ...carry } = pricingOpts();
+  const fits = fitSmiles(surface, { r: currentCurve(), ...carry });
+  const days = daysToExpiry(toDate, state.currentDate);
+  const fit = fits.find(f => f.dte >= days) || fits[fits.length - 1];
+  if (!fit || days <= 0) return null;
+  return { ...densityFromSmile(fit, { T: yearFraction(toDate, state.currentDate) }), label: `Market-implied (${fit.expiry} smile)` };
+}
+
+// Overlay the model's final-day forecast distribution on the options-implied one
+async function renderForecastDensity(canvasId, noteId, result, model, label) {
+  const noteEl = document.getElementById(noteId);
+  const last = model.pred.length - 1;
+  const toDate = result.futureDates[last];
+  const forecast = { mean: model.pred[last], stdev: model.errors[last] || 0, label: `${label} forecast (${toDate})` };
+  const density = await marketDensity(toDate);
+  if (!density) {
+    renderDensityChart(canvasId, [], { forecast });
+    noteEl.textContent = 'No option smile for this stock and date, so only the model forecast is shown.';
+    return;
+  }
+
+  renderDensityChart(canvasId, [density], { forecast, spot: density.spot });
+  const pUp = probAbove(density, forecast.mean);
+  noteEl.textContent = `To ${toDate}: market mean $${density.mean.toFixed(2)} ± $${density.stdev.toFixed(2)} ` +
+    `(skew ${density.skewness.toFixed(2)}) vs ${label} $${forecast.mean.toFixed(2)} ± $${forecast.stdev.toFixed(2)}. ` +
+    `Market-implied chance of finishing above the forecast: ${(pUp * 100).toFixed(1)}%.`;
 }
 
 // ============ AI Prediction ============
 function updatePredSelectors() {
   if (!state.currentStockData || !state.currentDate) return;
 
-  const expiries = getExpiries(state.currentStockData, state.currentDate);
+  const expiries = visibleExpiries();
   const predExpSel = document.getElementById('predExpiry');
-  predExpSel.innerHTML = expiries.map(e => `<option value="${e}">${e}</option>`).join('');
+  predExpSel.innerHTML = expiryOptions(expiries);
   if (expiries.length > 0) {
     predExpSel.value = expiries[0];
     onPredExpiryChange();
@@ -555,21 +1385,18 @@ function onPredExpiryChange() {
   const expiry = document.getElementById('predExpiry').value;
   if (!expiry || !state.currentStockData || !state.currentDate) return;
 
-  const chain = getChain(state.currentStockData, state.currentDate, expiry);
+  const chain = usableChain(getChain(state.currentStockData, state.currentDate, expiry), expiry);
   const strikeSel = document.getElementById('predStrike');
   strikeSel.innerHTML = chain.map(r =>
     `<option value="${r.strike}">${r.strike}</option>`
   ).join('');
 
-  // Default to mid-strike (ATM proxy)
-  if (chain.length > 0) {
-    const midIdx = Math.floor(chain.length / 2);
-    strikeSel.value = chain[midIdx].strike;
-  }
+  // Default to the ATM strike
+  if (chain.length > 0) strikeSel.value = chain[atmIndex(chain)].strike;
 }
 
 async function onRunLSTM() {
-  if (!state.currentStockData) return;
+  if (!state.currentStockData || !await loadFullHistory()) return;
 
   const expiry = document.getElementById('predExpiry').value;
   const strike = parseFloat(document.getElementById('predStrike').value);
@@ -632,14 +1459,7 @@ async function onRunLSTM() {
 
     // Generate forecast date labels
     const lastDate = priceDates[priceDates.length - 1];
-    const forecastDateLabels = [];
-    const lastD = new Date(lastDate);
-    for (let i = 1; i <= forecastDays; i++) {
-      const d = new Date(lastD);
-      d.setDate(d.getDate() + i);
-      while (d.getDay() === 0 || d.getDay() === 6) d.setDate(d.getDate() + 1);
-      forecastDateLabels.push(d.toISOString().split('T')[0]);
-    }
+    const forecastDateLabels = nextTradingDays(lastDate, forecastDays);
 
     const alignedDates = priceDates.slice(lookback);
     renderPredictionChart('predictionChart', alignedDates, result.actual, result.fitted, forecastDateLabels, result.forecast);
@@ -681,13 +1501,15 @@ async function onRunLSTM() {
       <div class="pred-strategy-action">${strat.action}</div>`;
 
     // Auto-build payoff for recommended strategy
-    const chain = getChain(state.currentStockData, state.currentDate, expiry);
+    const chain = usableChain(getChain(state.currentStockData, state.currentDate, expiry), expiry);
     if (chain.length > 0 && STRATEGIES[strat.type]) {
-      const midIdx = chain.findIndex(r => Math.abs(r.strike - strike) < 0.001) || Math.floor(chain.length / 2);
+      const selectedIdx = chain.findIndex(r => Math.abs(r.strike - strike) < 0.001);
+      const midIdx = selectedIdx >= 0 ? selectedIdx : atmIndex(chain);
+      const spot = spotFor(chain);
       const stratDef = STRATEGIES[strat.type];
       const legs = stratDef.legs.map((legDef) => {
         if (legDef.type === 'stock') {
-          return { type: 'stock', direction: legDef.direction, strike: chain[midIdx].strike, premium: 0 };
+          return { type: 'stock', direction: legDef.direction, strike: spot, premium: 0 };
         }
         let strikeIdx = midIdx;
         if (legDef.direction === 'short' && legDef.type === 'call') strikeIdx = Math.min(chain.length - 1, midIdx + 3);
@@ -697,9 +1519,10 @@ async function onRunLSTM() {
         const premium = legDef.type === 'call' ? chain[strikeIdx].call.settle : chain[strikeIdx].put.settle;
         return { type: legDef.type, direction: legDef.direction, strike: chain[strikeIdx].strike, premium };
       });
-      const payoffData = calculatePayoff(legs, chain[midIdx].strike);
-      const metrics = strategyMetrics(legs, chain[midIdx].strike);
-      renderPayoffChart('predPayoffChart', payoffData, metrics.breakevens);
+      const contract = contractSpec();
+      const payoffData = calculatePayoff(legs, spot, 100, contract.multiplier ?? 1);
+      const metrics = strategyMetrics(legs, spot, contract.multiplier ?? 1);
+      renderPayoffChart('predPayoffChart', payoffData, metrics.breakevens, contract);
     }
 
     // Model metrics
@@ -783,11 +1606,11 @@ function renderCombinedSignal(combined, lstmResult, newsResult) {
 // ============ Candlestick Tab ============
 function updateCandleSelectors() {
   if (!state.currentStockData) return;
-  const expiries = getExpiries(state.currentStockData, state.currentDate);
+  const expiries = visibleExpiries();
   const expSel = document.getElementById('candleExpiry');
   const strikeSel = document.getElementById('candleStrike');
 
-  expSel.innerHTML = expiries.map(e => `<option value="${e}">${e}</option>`).join('');
+  expSel.innerHTML = expiryOptions(expiries);
 
   // Populate strikes for first expiry
   onCandleExpiryChange();
@@ -812,7 +1635,7 @@ function onCandleExpiryChange() {
   strikeSel.innerHTML = strikes.map(s => `<option value="${s}">${s}</option>`).join('');
 }
 
-function onScanPatterns() {
+async function onScanPatterns() {
   const expiry = document.getElementById('candleExpiry').value;
   const strike = parseFloat(document.getElementById('candleStrike').value);
   const type = document.getElementById('candleType').value;
@@ -820,7 +1643,7 @@ function onScanPatterns() {
   if (!expiry || !strike || !state.currentStockData) return;
 
   // Build settlement series for this option
-  const history = getSettlementHistory(state.currentStockData, expiry, strike, type);
+  const history = await contractHistory(expiry, strike, type);
   if (!history || history.length < 3) {
     document.getElementById('patternList').innerHTML = '<p class="placeholder-text">Not enough data points for pattern detection (need 3+)</p>';
     return;
@@ -952,6 +1775,7 @@ async function onRunSarimax() {
 
     // Render chart
     renderSarimaxChart('sarimaxChart', result);
+    await renderForecastDensity('sarimaxDensityChart', 'sarimaxDensityNote', result, result.enhanced, 'SARIMAX');
 
     // Update note
     const lastDate = result.priceDates[result.priceDates.length - 1];
@@ -1025,6 +1849,7 @@ async function onRunHybrid() {
 
     // Render chart
     renderHybridChart('hybridChart', result);
+    await renderForecastDensity('hybridDensityChart', 'hybridDensityNote', result, result.hybrid, 'Hybrid');
 
     // Update note
     const lastDate = result.priceDates[result.priceDates.length - 1];
@@ -1176,6 +2001,7 @@ init().catch(err => {
     <div style="text-align:center;padding:4rem">
       <h2>Failed to load data</h2>
       <p style="color:var(--text-muted)">${err.message}</p>
+      ${err.errors ? `<ul style="display:inline-block;text-align:left;color:var(--text-muted)">${err.errors.map(e => `<li>${e}</li>`).join('')}</ul>` : ''}
     </div>
   `;
 });
@@ -0,0 +1,362 @@
+/**
+ * Monte Carlo Scenario Pricer
+ * Simulates the underlying to a horizon and revalues a strategies.js leg list
+ * on every path, for P&L distributions the expiry payoff diagram can't show:
+ *   gbm       — lognormal diffusion at a flat vol
+ *   merton    — diffusion plus Poisson jumps with normal log-jump sizes
+ *   heston    — stochastic variance (full-truncation Euler)
+ *   bootstrap — the stock's own daily log returns, resampled with replacement
+ *
+ * Paths step once per trading day (calendar.js clock). Option legs still alive
+ * at the horizon are revalued with optionPrice at each leg's own vol on a spot
+ * grid the paths interpolate into, so American revaluation costs GRID_POINTS
+ * tree prices rather than one per path.
+ */
+import { optionPrice, pvDividends } from './blackscholes.js';
+import { DEFAULT_RATE, rateAt } from './rates.js';
+import { TRADING_DAYS_PER_YEAR } from './calendar.js';
+
+const DEFAULT_PATHS = 10000;
+const GRID_POINTS = 201;
+const HIST_BINS = 40;
+const SAMPLE_PATHS = 20;       // full paths kept for charting
+const PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+const TAIL = 0.05;             // expected shortfall level
+
+export const MC_MODELS = ['gbm', 'merton', 'heston', 'bootstrap'];
+
+/**
+ * Seedable RNG (mulberry32) with normal and Poisson draws
+ * @param {number} [seed=1]
+ * @returns {{ uniform: () => number, normal: () => number, poisson: (lambda: number) => number }}
+ */
+export function createRng(seed = 1) {
+    let a = seed >>> 0;
+    let spare = null;
+
+    const uniform = () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    // Box-Muller, keeping the second variate for the next call
+    const normal = () => {
+        if (spare !== null) {
+            const z = spare;
+            spare = null;
+            return z;
+        }
+        let u = 0;
+        while (u === 0) u = uniform();
+        const m = Math.sqrt(-2 * Math.log(u));
+        const theta = 2 * Math.PI * uniform();
+        spare = m * Math.sin(theta);
+        return m * Math.cos(theta);
+    };
+
+    // Knuth's method — fine for the small per-step intensities used here
+    const poisson = lambda => {
+        const limit = Math.exp(-lambda);
+        let k = 0, p = uniform();
+        while (p > limit) {
+            k++;
+            p *= uniform();
+        }
+        return k;
+    };
+
+    return { uniform, normal, poisson };
+}
+
+// ============ Path generators ============
+// Each returns the path of spots (steps + 1 points) given a draw source, so
+// antithetic pairs can replay the same draws with the normals negated.
+
+function gbmPath(S0, steps, dt, drift, p, draw) {
+    const path = new Float64Array(steps + 1);
+    const mu = (drift - 0.5 * p.sigma * p.sigma) * dt;
+    const vol = p.sigma * Math.sqrt(dt);
+    let lnS = Math.log(S0);
+    path[0] = S0;
+    for (let i = 1; i <= steps; i++) {
+        lnS += mu + vol * draw.normal();
+        path[i] = Math.exp(lnS);
+    }
+    return path;
+}
+
+function mertonPath(S0, steps, dt, drift, p, draw) {
+    const path = new Float64Array(steps + 1);
+    // Compensate the drift so jumps leave the expected return unchanged
+    const k = Math.exp(p.jumpMean + 0.5 * p.jumpVol * p.jumpVol) - 1;
+    const mu = (drift - p.lambda * k - 0.5 * p.sigma * p.sigma) * dt;
+    const vol = p.sigma * Math.sqrt(dt);
+    let lnS = Math.log(S0);
+    path[0] = S0;
+    for (let i = 1; i <= steps; i++) {
+        lnS += mu + vol * draw.normal();
+        const jumps = draw.poisson(p.lambda * dt);
+        const z = draw.normal();
+        if (jumps > 0) lnS += jumps * p.jumpMean + p.jumpVol * Math.sqrt(jumps) * z;
+        path[i] = Math.exp(lnS);
+    }
+    return path;
+}
+
+function hestonPath(S0, steps, dt, drift, p, draw) {
+    const path = new Float64Array(steps + 1);
+    const corr = Math.sqrt(1 - p.rho * p.rho);
+    let lnS = Math.log(S0);
+    let v = p.v0;
+    path[0] = S0;
+    for (let i = 1; i <= steps; i++) {
+        const z1 = draw.normal(), z2 = draw.normal();
+        const vPos = Math.max(v, 0);
+        const sd = Math.sqrt(vPos * dt);
+        lnS += (drift - 0.5 * vPos) * dt + sd * z1;
+        v += p.kappa * (p.theta - vPos) * dt + p.xi * sd * (p.rho * z1 + corr * z2);
+        path[i] = Math.exp(lnS);
+    }
+    return path;
+}
+
+function bootstrapPath(S0, steps, dt, drift, p, draw) {
+    const path = new Float64Array(steps + 1);
+    const n = p.returns.length;
+    let lnS = Math.log(S0);
+    path[0] = S0;
+    for (let i = 1; i <= steps; i++) {
+        lnS += p.returns[Math.floor(draw.uniform() * n)] + p.shift;
+        path[i] = Math.exp(lnS);
+    }
+    return path;
+}
+
+const GENERATORS = { gbm: gbmPath, merton: mertonPath, heston: hestonPath, bootstrap: bootstrapPath };
+
+// Model parameters with defaults filled in from the diffusive vol
+function modelParams(model, params, dt, drift) {
+    const sigma = params.sigma ?? 0.3;
+    switch (model) {
+        case 'merton':
+            return { sigma, lambda: 1, jumpMean: -0.05, jumpVol: 0.1, ...params };
+        case 'heston':
+            return { v0: sigma * sigma, theta: sigma * sigma, kappa: 2, xi: 0.5, rho: -0.7, ...params };
+        case 'bootstrap': {
+            const returns = params.returns || [];
+            if (returns.length === 0) throw new Error('Bootstrap needs historical returns');
+            // Optionally recentre on the model drift instead of the sample's own
+            let shift = 0;
+            if (params.recentre) {
+                const mean = returns.reduce((s, x) => s + x, 0) / returns.length;
+                const variance = returns.reduce((s, x) => s + (x - mean) ** 2, 0) / returns.length;
+                shift = (drift - 0.5 * variance / dt) * dt - mean;
+            }
+            return { returns, shift };
+        }
+        default:
+            return { sigma };
+    }
+}
+
+/**
+ * Daily log returns from an underlying prices JSON, for the bootstrap model
+ * @param {object} priceData - loadPriceData result
+ * @param {number} [lookback=250] - Most recent returns to keep
+ */
+export function historicalReturns(priceData, lookback = 250) {
+    const closes = (priceData?.prices || []).map(p => p.close).filter(c => c > 0);
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) returns.push(Math.log(closes[i] / closes[i - 1]));
+    return returns.slice(-lookback);
+}
+
+/**
+ * Simulate underlying paths
+ * @param {string} model - One of MC_MODELS
+ * @param {object} opts - { S0, days, drift, params, nPaths, seed, antithetic }; days is
+ *   the horizon in trading days, drift the annual expected return (r − q for
+ *   risk-neutral scenarios). Antithetic pairs negate every normal draw; the
+ *   bootstrap has no normals, so it ignores the flag.
+ * @returns {object} - { terminal: Float64Array, samplePaths: number[][], pairs }
+ */
+export function simulatePaths(model, opts) {
+    const { S0, days, drift = 0, nPaths = DEFAULT_PATHS, seed = 1 } = opts;
+    const generate = GENERATORS[model];
+    if (!generate) throw new Error(`Unknown model: ${model}`);
+    const steps = Math.max(1, Math.round(days));
+    const dt = 1 / TRADING_DAYS_PER_YEAR;
+    const params = modelParams(model, opts.params || {}, dt, drift);
+    const antithetic = opts.antithetic !== false && model !== 'bootstrap';
+    const rng = createRng(seed);
+
+    const terminal = new Float64Array(nPaths);
+    const samplePaths = [];
+    const keep = path => {
+        if (samplePaths.length < SAMPLE_PATHS) samplePaths.push(Array.from(path));
+    };
+
+    for (let i = 0; i < nPaths; i += antithetic ? 2 : 1) {
+        const tape = [];
+        const record = {
+            normal: () => { const z = rng.normal(); tape.push(z); return z; },
+            poisson: lambda => { const n = rng.poisson(lambda); tape.push(n); return n; },
+            uniform: rng.uniform
+        };
+        const path = generate(S0, steps, dt, drift, params, record);
+        terminal[i] = path[steps];
+        keep(path);
+
+        if (antithetic && i + 1 < nPaths) {
+            let j = 0;
+            const replay = {
+                normal: () => -tape[j++],
+                poisson: () => tape[j++],
+                uniform: rng.uniform
+            };
+            const mirror = generate(S0, steps, dt, drift, params, replay);
+            terminal[i + 1] = mirror[steps];
+            keep(mirror);
+        }
+    }
+    return { terminal, samplePaths, pairs: antithetic };
+}
+
+// ============ Position revaluation ============
+
+// Value of one option leg across a spot grid at the horizon, linearly interpolated
+function legValuer(leg, lo, hi, tau, r, sigma, opts) {
+    if (tau <= 1e-9) {
+        return S => leg.type === 'call' ? Math.max(0, S - leg.strike) : Math.max(0, leg.strike - S);
+    }
+    const step = (hi - lo) / (GRID_POINTS - 1);
+    const values = Array.from({ length: GRID_POINTS }, (_, i) =>
+        optionPrice(lo + i * step, leg.strike, tau, r, sigma, leg.type, opts));
+    return S => {
+        if (step === 0) return values[0];
+        const x = Math.min(GRID_POINTS - 1, Math.max(0, (S - lo) / step));
+        const i = Math.min(GRID_POINTS - 2, Math.floor(x));
+        return values[i] + (x - i) * (values[i + 1] - values[i]);
+    };
+}
+
+// Discrete dividends gone ex by time T, carried forward to T at the rate
+function dividendsPaid(dividends, T, r) {
+    return pvDividends(dividends, T, r) * Math.exp(r * T);
+}
+
+// Remaining discrete dividends, re-timed from the horizon
+function carryAtHorizon(opts, horizonT) {
+    if (!opts.dividends?.length) return opts;
+    return { ...opts, dividends: opts.dividends.map(d => ({ ...d, t: d.t - horizonT })).filter(d => d.t > 0) };
+}
+
+function quantile(sorted, p) {
+    const x = p * (sorted.length - 1);
+    const i = Math.floor(x);
+    return i + 1 < sorted.length ? sorted[i] + (x - i) * (sorted[i + 1] - sorted[i]) : sorted[i];
+}
+
+function histogram(sorted, bins) {
+    const lo = sorted[0], hi = sorted[sorted.length - 1];
+    const width = (hi - lo) / bins || 1;
+    const counts = new Array(bins).fill(0);
+    for (const x of sorted) counts[Math.min(bins - 1, Math.floor((x - lo) / width))]++;
+    const edges = Array.from({ length: bins + 1 }, (_, i) => lo + i * width);
+    return { edges, counts };
+}
+
+/**
+ * P&L distribution of a leg list at a future horizon
+ * @param {Array} legs - strategies.js legs [{ type, direction, strike, premium, sigma?, T? }];
+ *   the stock leg's strike is its entry price, option legs expire at leg.T ?? expiryT
+ * @param {object} opts - { spot, days, expiryT, r, sigma, model, params, mu, nPaths, seed,
+ *   antithetic, pricing, multiplier }. days is the horizon in trading days; mu the annual
+ *   drift (defaults to risk-neutral r − q); sigma the default leg and model vol; pricing
+ *   the optionPrice options (exercise, method, q, borrow, dividends); multiplier the
+ *   shares per contract (1 gives per-share P&L), overridden by a leg's own multiplier
+ * @returns {object} - { model, days, nPaths, mean, stdev, stderr, percentiles, probProfit,
+ *   expectedShortfall, histogram: { edges, counts }, terminal, pnl (sorted), samplePaths }.
+ *   P&L is per contract of `multiplier` shares at the horizon, undiscounted, and excludes
+ *   dividends received. Terminal spots and sample paths are net of the pricing.dividends
+ *   gone ex by then.
+ */
+export function simulatePosition(legs, opts) {
+    const { spot, days, expiryT, model = 'gbm', sigma = 0.3, pricing = {}, multiplier = 1 } = opts;
+    const horizonT = days / TRADING_DAYS_PER_YEAR;
+    const r = opts.r ?? DEFAULT_RATE;
+    const drift = opts.mu ?? rateAt(r, horizonT) - (pricing.q || 0) - (pricing.borrow || 0);
+
+    const { terminal, samplePaths, pairs } = simulatePaths(model, {
+        S0: spot, days, drift,
+        params: { sigma, ...opts.params },
+        nPaths: opts.nPaths, seed: opts.seed, antithetic: opts.antithetic
+    });
+
+    // Spots drop by the dividends going ex before the horizon — the ones
+    // carryAtHorizon leaves out of the revaluation
+    const rH = rateAt(r, horizonT);
+    const paid = dividendsPaid(pricing.dividends, horizonT, rH);
+    if (paid > 0) {
+        terminal.forEach((S, i) => { terminal[i] = Math.max(S - paid, 0); });
+        for (const path of samplePaths) {
+            path.forEach((S, i) => {
+                const t = i / TRADING_DAYS_PER_YEAR;
+                path[i] = Math.max(S - dividendsPaid(pricing.dividends, t, rH), 0);
+            });
+        }
+    }
+
+    let lo = Infinity, hi = -Infinity;
+    for (const S of terminal) {
+        if (S < lo) lo = S;
+        if (S > hi) hi = S;
+    }
+    const carry = carryAtHorizon(pricing, horizonT);
+    const valuers = legs.map(leg => {
+        if (leg.type === 'stock') return S => S;
+        const tau = (leg.T ?? expiryT) - horizonT;
+        return legValuer(leg, lo, hi, tau, r, leg.sigma ?? sigma, carry);
+    });
+
+    const pnl = new Float64Array(terminal.length);
+    terminal.forEach((S, i) => {
+        let total = 0;
+        legs.forEach((leg, j) => {
+            const mult = leg.direction === 'long' ? 1 : -1;
+            const entry = leg.type === 'stock' ? leg.strike : leg.premium;
+            total += mult * (valuers[j](S) - entry) * (leg.multiplier ?? multiplier);
+        });
+        pnl[i] = total;
+    });
+
+    const n = pnl.length;
+    const mean = pnl.reduce((s, x) => s + x, 0) / n;
+    const stdev = Math.sqrt(pnl.reduce((s, x) => s + (x - mean) ** 2, 0) / (n - 1));
+    // Antithetic pairs are the independent draws — their averages set the error
+    let stderr = stdev / Math.sqrt(n);
+    if (pairs && n >= 4) {
+        const avgs = [];
+        for (let i = 0; i + 1 < n; i += 2) avgs.push(0.5 * (pnl[i] + pnl[i + 1]));
+        const m = avgs.reduce((s, x) => s + x, 0) / avgs.length;
+        stderr = Math.sqrt(avgs.reduce((s, x) => s + (x - m) ** 2, 0) / (avgs.length - 1) / avgs.length);
+    }
+
+    const sorted = Float64Array.from(pnl).sort();
+    const tail = sorted.slice(0, Math.max(1, Math.floor(TAIL * n)));
+
+    return {
+        model, days, nPaths: n,
+        mean, stdev, stderr,
+        percentiles: Object.fromEntries(PERCENTILES.map(p => [p, quantile(sorted, p / 100)])),
+        probProfit: sorted.filter(x => x > 0).length / n,
+        expectedShortfall: tail.reduce((s, x) => s + x, 0) / tail.length,
+        histogram: histogram(sorted, HIST_BINS),
+        terminal,
+        pnl: sorted,
+        samplePaths
+    };
+}
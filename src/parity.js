@@ -0,0 +1,172 @@
+/**
+ * Put-Call Parity
+ * Infers the forward implied by DTOP call/put settle pairs for each expiry and
+ * from it the spot, instead of guessing ATM from the middle strike.
+ *
+ * European parity C − P = e^(−rT)(F − K) gives one forward estimate per strike.
+ * HKEX options are American, so in-the-money pairs carry early-exercise premium;
+ * only the strikes nearest the money (smallest |C − P|) are used.
+ */
+import { getChain, getExpiries, getDates, getClose } from './data.js';
+import { STANDARD_SERIES, expiryDate } from './schema.js';
+import { spotFromForward } from './blackscholes.js';
+import { daysToExpiry, yearFraction } from './calendar.js';
+import { DEFAULT_RATE, rateAt, withDateRate } from './rates.js';
+
+const PARITY_STRIKES = 3;   // strikes nearest the money used per expiry
+const MIN_SETTLE = 0.01;    // HKEX floor settle — no price information
+const MAX_CLOSE_GAP = 0.03; // parity spot vs close gap beyond which the two disagree
+const MIN_CARRY_DAYS = 7;   // shorter expiries turn settle rounding into huge yields
+const MAX_CARRY = 0.5;      // |implied yield| beyond this means the close is not this underlying
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Implied forward for one expiry from its chain (getChain rows)
+ * @returns {object|null} - { forward, strikes, dispersion } or null without a
+ *   usable call/put pair; dispersion is the relative spread of the estimates
+ */
+export function impliedForward(chain, T, r) {
+    const pairs = chain
+        .filter(row => row.call.settle > MIN_SETTLE && row.put.settle > MIN_SETTLE)
+        .map(row => ({ strike: row.strike, diff: row.call.settle - row.put.settle }))
+        .sort((a, b) => Math.abs(a.diff) - Math.abs(b.diff))
+        .slice(0, PARITY_STRIKES);
+    if (pairs.length === 0) return null;
+
+    const estimates = pairs.map(p => p.strike + Math.exp(rateAt(r, T) * T) * p.diff);
+    const forward = median(estimates);
+    return {
+        forward,
+        strikes: pairs.map(p => p.strike),
+        dispersion: (Math.max(...estimates) - Math.min(...estimates)) / forward
+    };
+}
+
+/**
+ * Resolve the spot for a stock on a date
+ * Uses the parity forward of the nearest expiry with a usable pair, converted
+ * back to spot under the given carry, and cross-checks it against the
+ * underlying close. Falls back to the close when no expiry has a pair.
+ * Only the standard monthly series is read: RMB-traded and other series aren't
+ * quoted against the HKD spot.
+ * @param {object} stockData - Per-stock DTOP JSON
+ * @param {object|null} priceData - Underlying prices JSON (loadPriceData)
+ * @param {string} date - Trading date (YYYY-MM-DD)
+ * @param {object} [opts] - { r, q, borrow, dividends }; r is a flat rate or rates.js curve
+ * @returns {object|null} - { spot, source: 'parity' | 'close', paritySpot, close, closeDate,
+ *   gap, mismatch, forwards: { [expiry]: { forward, T, strikes, dispersion } } } or null
+ */
+export function resolveSpot(stockData, priceData, date, opts = {}) {
+    const r = opts.r ?? DEFAULT_RATE;
+    const forwards = {};
+    let paritySpot = null;
+
+    for (const expiry of getExpiries(stockData, date, STANDARD_SERIES)) {
+        const T = yearFraction(expiryDate(expiry), date);
+        if (T <= 0) continue;
+        const fwd = impliedForward(getChain(stockData, date, expiry), T, r);
+        if (!fwd) continue;
+        forwards[expiry] = { ...fwd, T };
+        if (paritySpot === null) paritySpot = spotFromForward(fwd.forward, T, r, opts);
+    }
+
+    const close = getClose(priceData, date);
+    if (paritySpot === null && !close) return null;
+
+    const gap = paritySpot !== null && close ? paritySpot / close.close - 1 : null;
+    return {
+        spot: paritySpot ?? close.close,
+        source: paritySpot !== null ? 'parity' : 'close',
+        paritySpot,
+        close: close?.close ?? null,
+        closeDate: close?.date ?? null,
+        gap,
+        mismatch: gap !== null && Math.abs(gap) > MAX_CLOSE_GAP,
+        forwards
+    };
+}
+
+/**
+ * Index of the strike nearest a price level (the ATM row for a spot or forward)
+ */
+export function nearestStrikeIndex(strikes, level) {
+    let best = 0;
+    strikes.forEach((k, i) => {
+        if (Math.abs(k - level) < Math.abs(strikes[best] - level)) best = i;
+    });
+    return best;
+}
+
+/**
+ * Implied carry yield from a forward and the spot: F = S·e^((r − y)T)
+ * y is dividend yield plus borrow; with a known dividend yield the rest is borrow.
+ */
+export function impliedCarry(forward, spot, T, r) {
+    return rateAt(r, T) - Math.log(forward / spot) / T;
+}
+
+/**
+ * Implied dividend yield per expiry on one date, against the underlying close
+ * Early exercise makes American puts dear, so the yields lean high on names
+ * with deep in-the-money puts near the money.
+ * @param {object} [opts] - { r, q } — q is the known dividend yield; the excess is
+ *   reported as implied borrow; standard monthly series only, as resolveSpot
+ * @returns {Array<{expiry, T, forward, yield, dividendPV, borrow, dispersion}>} - Empty
+ *   without a same-day close; dividendPV is the same carry as a cash amount, S − F·e^(−rT)
+ */
+export function impliedDividends(stockData, priceData, date, opts = {}) {
+    const r = opts.r ?? DEFAULT_RATE;
+    const close = getClose(priceData, date);
+    if (!close || close.date !== date) return [];
+
+    const result = [];
+    for (const expiry of getExpiries(stockData, date, STANDARD_SERIES)) {
+        const dte = daysToExpiry(expiryDate(expiry), date);
+        if (dte < MIN_CARRY_DAYS) continue;
+        const T = yearFraction(expiryDate(expiry), date);
+        const fwd = impliedForward(getChain(stockData, date, expiry), T, r);
+        if (!fwd) continue;
+        const y = impliedCarry(fwd.forward, close.close, T, r);
+        if (!Number.isFinite(y) || Math.abs(y) > MAX_CARRY) continue;
+        result.push({
+            expiry, T,
+            forward: fwd.forward,
+            yield: y,
+            dividendPV: close.close - fwd.forward * Math.exp(-rateAt(r, T) * T),
+            borrow: opts.q !== undefined ? y - opts.q : null,
+            dispersion: fwd.dispersion
+        });
+    }
+    return result;
+}
+
+/**
+ * Implied dividend yield history for every DTOP date with a same-day close
+ * @param {object} [opts] - As impliedDividends, plus { rates } (rates.json) to
+ *   discount each date off the curve fixed that day
+ * @returns {object} - { dates, expiries, series: { [expiry]: Array<number|null> } } with
+ *   series aligned to dates; a jump across expiries that straddle an ex-date
+ *   shows a dividend being priced in before it is announced
+ */
+export function impliedDividendHistory(stockData, priceData, opts = {}) {
+    const dates = [];
+    const series = {};
+    for (const date of getDates(stockData)) {
+        const points = impliedDividends(stockData, priceData, date, withDateRate(opts, date));
+        if (points.length === 0) continue;
+        const idx = dates.push(date) - 1;
+        for (const p of points) {
+            if (!series[p.expiry]) series[p.expiry] = [];
+            series[p.expiry][idx] = p.yield;
+        }
+    }
+    for (const expiry of Object.keys(series)) {
+        series[expiry] = dates.map((_, i) => series[expiry][i] ?? null);
+    }
+    return { dates, expiries: Object.keys(series).sort(), series };
+}
@@ -0,0 +1,83 @@
+/**
+ * Interest Rate Curve
+ * HKD discounting off a HIBOR-style term curve instead of one flat rate.
+ *
+ * Anywhere the pricing code takes `r` it accepts either a number or a curve
+ * built here; rateAt resolves the curve to the zero rate for a given time to
+ * expiry. Curves are interpolated linearly in time and held flat beyond the
+ * first and last tenors.
+ *
+ * Tenors are quoted in calendar days, while T everywhere else is in trading
+ * years (calendar.js yearFraction). Each tenor is placed on the trading clock
+ * by counting the trading days it spans from the curve date, so the 1M point
+ * lines up with an expiry one calendar month out rather than ~1.5 months.
+ */
+import { yearFraction, TRADING_DAYS_PER_YEAR } from './calendar.js';
+
+export const DEFAULT_RATE = 0.04;
+
+/**
+ * Build a curve from tenor points
+ * @param {Array<{days: number, rate: number}>} points - Rates as decimals (0.04 = 4%),
+ *   tenors in calendar days
+ * @param {string} [asOf] - Curve date (YYYY-MM-DD); without one a tenor of d days
+ *   is taken as d/365 of a trading year, the average conversion
+ * @returns {object} - { points, rate(T) } with T in trading years
+ */
+export function rateCurve(points, asOf = null) {
+    const tenorT = days => {
+        if (!asOf) return days / 365;
+        const end = new Date(Date.parse(`${asOf}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+        return Math.max(yearFraction(end, asOf), 1 / TRADING_DAYS_PER_YEAR);
+    };
+    const sorted = points
+        .filter(p => p.days > 0 && Number.isFinite(p.rate))
+        .map(p => ({ ...p, T: tenorT(p.days) }))
+        .sort((a, b) => a.T - b.T);
+
+    const rate = T => {
+        if (sorted.length === 0) return DEFAULT_RATE;
+        if (T <= sorted[0].T) return sorted[0].rate;
+        const i = sorted.findIndex(p => p.T >= T);
+        if (i === -1) return sorted[sorted.length - 1].rate;
+        const a = sorted[i - 1], b = sorted[i];
+        return a.rate + (b.rate - a.rate) * (T - a.T) / (b.T - a.T);
+    };
+
+    return { points: sorted, rate };
+}
+
+/**
+ * Resolve a flat rate or curve to the rate for one maturity
+ */
+export function rateAt(r, T) {
+    if (typeof r === 'number') return r;
+    return r?.rate ? r.rate(T) : DEFAULT_RATE;
+}
+
+/**
+ * Curve in force on a date
+ * @param {object} rates - rates.json ({ tenors, curves: [{ date, rates }] })
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} [override] - { [tenor]: rate } edits applied over the fixing
+ * @returns {object} - rateCurve result plus { date, tenors } (the fixing date used
+ *   and the tenor/rate rows); the earliest curve when the date predates them all
+ */
+export function curveForDate(rates, date, override = {}) {
+    const curves = [...(rates?.curves ?? [])].sort((a, b) => a.date.localeCompare(b.date));
+    const fixing = curves.filter(c => c.date <= date).pop() ?? curves[0];
+    const tenors = (rates?.tenors ?? []).map(t => ({
+        ...t,
+        rate: override[t.tenor] ?? fixing?.rates[t.tenor] ?? DEFAULT_RATE
+    }));
+    return { ...rateCurve(tenors, date), date: fixing?.date ?? null, tenors };
+}
+
+/**
+ * Pricing options for one historical date: with { rates } (rates.json) present,
+ * r becomes that date's curve; otherwise opts pass through unchanged
+ */
+export function withDateRate(opts, date) {
+    if (!opts.rates) return opts;
+    return { ...opts, r: curveForDate(opts.rates, date, opts.rateOverride) };
+}
@@ -6,6 +6,10 @@
  * Method: SARIMAX(0,1,2) with news sentiment + volume as exogenous variables.
  * Reference: Li, Z.H. (2026). Price prediction of Nasdaq 100 Index Fund.
  */
+import { nextTradingDays } from './calendar.js';
+import { cachedJSON } from './cache.js';
+import { checkSchema } from './data.js';
+import { validatePrices } from './schema.js';
 
 // ── Price data loader ──
 
@@ -14,11 +18,10 @@ const priceCache = {};
 export async function loadPriceData(code) {
     if (priceCache[code]) return priceCache[code];
     try {
-        const res = await fetch(`/data/prices/${code}.json`);
-        if (!res.ok) return null;
-        const data = await res.json();
-        priceCache[code] = data;
-        return data;
+        // Refreshed by fetch_prices.py outside the data build: not cached across reloads
+        const data = await cachedJSON(`/data/prices/${code}.json`, { persist: false });
+        priceCache[code] = checkSchema(`prices/${code}.json`, data, validatePrices);
+        return priceCache[code];
     } catch {
         return null;
     }
@@ -272,17 +275,8 @@ export async function runFullPipeline(priceData, newsArticles, forecastDays = 5)
     }
     const traditionalForecast = await runTraditionalSARIMAX(closePrices, forecastDays);
 
-    // Build future dates (skip weekends)
-    const lastDate = new Date(priceDates[priceDates.length - 1]);
-    const futureDates = [];
-    let d = new Date(lastDate);
-    while (futureDates.length < forecastDays) {
-        d.setDate(d.getDate() + 1);
-        const dow = d.getDay();
-        if (dow !== 0 && dow !== 6) {
-            futureDates.push(d.toISOString().slice(0, 10));
-        }
-    }
+    // Future dates on the HKEX calendar (weekends and holidays skipped)
+    const futureDates = nextTradingDays(priceDates[priceDates.length - 1], forecastDays);
 
     // Sentiment summary
     const sentArr = dailySent;
@@ -0,0 +1,317 @@
+/**
+ * JSON Schema Validation
+ * Runtime checks for every data file the app loads, so a malformed file is
+ * reported as readable errors instead of surfacing as NaNs deep in a chart.
+ * Shared by the browser loaders and scripts/validate_data.js.
+ *
+ * Each validator returns a list of error strings (empty when the file is
+ * fine), capped at MAX_ERRORS with a count of the rest.
+ */
+
+const MAX_ERRORS = 20;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const CHAIN_KEY_RE = /^\d{4}-\d{2}-\d{2}(:\S+)?$/;
+
+/**
+ * Stock file format written by build_data.js. Format 2 appends oiChange (the
+ * DTOP daily change in open interest) to the call/put arrays; format 1 files
+ * stop at priceChg. Format 3 adds every DTOP series (weekly, RMB, …) next to
+ * the standard monthlies, with a series map naming the non-standard expiries.
+ * Format 4 keys each chain by series and expiry (chainKey), so a series that
+ * expires on the same day as another keeps its own chain instead of being
+ * dropped. index.json carries formatVersion and the fieldMap.
+ */
+export const FORMAT_VERSION = 4;
+
+// DTOP series code of standard monthly stock options; expiries missing from a
+// stock file's series map are this series
+export const STANDARD_SERIES = 'SOM';
+
+/**
+ * Key of one series' chain within a date: the expiry date for standard
+ * monthlies, 'YYYY-MM-DD:CODE' for other series
+ */
+export function chainKey(expiry, series = STANDARD_SERIES) {
+    return series === STANDARD_SERIES ? expiry : `${expiry}:${series}`;
+}
+
+/**
+ * Expiry date of a chain key
+ */
+export function expiryDate(key) {
+    return key.slice(0, 10);
+}
+
+export const FIELD_MAP = {
+    c: ['gross', 'net', 'turnover', 'deals', 'settle', 'priceChg', 'oiChange'],
+    p: ['gross', 'net', 'turnover', 'deals', 'settle', 'priceChg', 'oiChange']
+};
+
+// Column layout of format 1 files, whose index.json may have no fieldMap
+export const DEFAULT_FIELD_MAP = {
+    c: ['gross', 'net', 'turnover', 'deals', 'settle', 'priceChg'],
+    p: ['gross', 'net', 'turnover', 'deals', 'settle', 'priceChg']
+};
+
+/**
+ * A data file that failed validation
+ */
+export class SchemaError extends Error {
+    constructor(file, errors) {
+        super(`${file} is malformed: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+        this.name = 'SchemaError';
+        this.file = file;
+        this.errors = errors;
+    }
+}
+
+function collector() {
+    const errors = [];
+    let extra = 0;
+    return {
+        add(message) {
+            if (errors.length < MAX_ERRORS) errors.push(message);
+            else extra++;
+        },
+        done() {
+            return extra ? [...errors, `…and ${extra} more`] : errors;
+        }
+    };
+}
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const isDate = v => typeof v === 'string' && DATE_RE.test(v) && !Number.isNaN(Date.parse(v));
+const isChainKey = v => typeof v === 'string' && CHAIN_KEY_RE.test(v) && isDate(expiryDate(v));
+
+/**
+ * index.json: { dates, stocks, latestDate, formatVersion, fieldMap, sharded? }
+ */
+export function validateIndex(json) {
+    const out = collector();
+    if (!isObject(json)) return ['not a JSON object'];
+
+    if (!Array.isArray(json.dates) || json.dates.length === 0) out.add('dates must be a non-empty array');
+    else json.dates.forEach((d, i) => {
+        if (!isDate(d)) out.add(`dates[${i}] "${d}" is not a YYYY-MM-DD date`);
+        else if (i > 0 && d <= json.dates[i - 1]) out.add(`dates[${i}] ${d} is out of order`);
+    });
+    if (!json.dates?.includes(json.latestDate)) out.add(`latestDate "${json.latestDate}" is not one of the dates`);
+
+    if (!Array.isArray(json.stocks)) out.add('stocks must be an array');
+    else json.stocks.forEach((s, i) => {
+        if (!isObject(s) || typeof s.code !== 'string' || !s.code) return out.add(`stocks[${i}] has no code`);
+        if (typeof s.name !== 'string') out.add(`${s.code}: name must be a string`);
+        for (const k of ['latestCallOI', 'latestPutOI', 'latestCallVol', 'latestPutVol', 'totalOI']) {
+            if (!isNumber(s[k])) out.add(`${s.code}: ${k} must be a number`);
+        }
+        // Contract metadata (scripts/stocks.json); optional in older builds
+        if (s.multiplier != null && !(isNumber(s.multiplier) && s.multiplier > 0)) out.add(`${s.code}: multiplier must be a positive number or null`);
+        if (s.tickSize !== undefined && !(isNumber(s.tickSize) && s.tickSize > 0)) out.add(`${s.code}: tickSize must be a positive number`);
+        if (s.currency !== undefined && !/^[A-Z]{3}$/.test(s.currency)) out.add(`${s.code}: currency "${s.currency}" is not an ISO code`);
+    });
+
+    if (json.formatVersion !== undefined && !(Number.isInteger(json.formatVersion) && json.formatVersion >= 1 && json.formatVersion <= FORMAT_VERSION)) {
+        out.add(`formatVersion ${JSON.stringify(json.formatVersion)} is not a format this app reads (1–${FORMAT_VERSION})`);
+    }
+    if (json.sharded !== undefined && typeof json.sharded !== 'boolean') out.add('sharded must be true or false');
+    if (json.fieldMap !== undefined) {
+        for (const side of ['c', 'p']) {
+            const cols = json.fieldMap?.[side];
+            if (!Array.isArray(cols) || !cols.includes('settle') || !cols.includes('net')) {
+                out.add(`fieldMap.${side} must list the ${side === 'c' ? 'call' : 'put'} columns, including net and settle`);
+            }
+        }
+    }
+    return out.done();
+}
+
+// series and adjustments, carried by a stock file or its shard index
+function checkContractTerms(json, out) {
+    if (json.series !== undefined) {
+        if (!isObject(json.series)) out.add('series must map expiries to series codes');
+        else for (const [expiry, code] of Object.entries(json.series)) {
+            if (!isChainKey(expiry) || typeof code !== 'string' || !code) out.add(`series: "${expiry}" → ${JSON.stringify(code)} is not an expiry and series code`);
+        }
+    }
+    if (json.adjustments !== undefined) {
+        if (!Array.isArray(json.adjustments)) out.add('adjustments must be an array');
+        else json.adjustments.forEach((a, i) => {
+            if (!isObject(a) || !isDate(a.effective) || !isNumber(a.factor) || a.factor <= 0 || !isObject(a.links)) {
+                return out.add(`adjustments[${i}]: needs an effective date, a positive factor and links`);
+            }
+            for (const [expiry, pairs] of Object.entries(a.links)) {
+                if (!Array.isArray(pairs) || !pairs.every(p => Array.isArray(p) && p.length === 2 && p.every(isNumber))) {
+                    out.add(`adjustments[${i}] ${expiry}: links must be [old strike, adjusted strike] pairs`);
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Per-stock DTOP file: { dates: { date: { expiry: [{ k, c: [...], p: [...] }] } }, series?, adjustments? },
+ * with expiry keys as chainKey writes them, c/p laid out as index.json's fieldMap,
+ * series as { expiry: code } and adjustments as linked by build_data.js from
+ * scripts/adjustments.json
+ */
+export function validateStock(json, fieldMap = DEFAULT_FIELD_MAP) {
+    const out = collector();
+    if (!isObject(json) || !isObject(json.dates)) return ['missing a dates object'];
+    checkContractTerms(json, out);
+
+    for (const [date, expiries] of Object.entries(json.dates)) {
+        if (!isDate(date)) out.add(`date key "${date}" is not a YYYY-MM-DD date`);
+        if (!isObject(expiries)) {
+            out.add(`${date}: expiries must be an object`);
+            continue;
+        }
+        for (const [expiry, chain] of Object.entries(expiries)) {
+            const where = `${date} ${expiry}`;
+            if (!isChainKey(expiry)) out.add(`${date}: expiry key "${expiry}" is not a YYYY-MM-DD date (with :series for non-standard series)`);
+            if (!Array.isArray(chain)) {
+                out.add(`${where}: chain must be an array`);
+                continue;
+            }
+            chain.forEach((row, i) => {
+                if (!isObject(row) || !isNumber(row.k) || row.k <= 0) return out.add(`${where} row ${i}: strike k must be a positive number`);
+                for (const side of ['c', 'p']) {
+                    const cols = fieldMap[side];
+                    const values = row[side];
+                    if (!Array.isArray(values) || values.length !== cols.length) {
+                        out.add(`${where} ${row.k}: ${side} must have ${cols.length} values (${cols.join(', ')})`);
+                    } else {
+                        values.forEach((v, j) => {
+                            if (!isNumber(v)) out.add(`${where} ${row.k}: ${side}.${cols[j]} is ${JSON.stringify(v)}, not a number`);
+                        });
+                    }
+                }
+            });
+        }
+    }
+    return out.done();
+}
+
+/**
+ * Shard index of a stock (build_data.js --shards): { code, months: { 'YYYY-MM': [dates] },
+ * series?, adjustments? }; each month's rows are in shards/<code>/<YYYY-MM>.json,
+ * laid out as a stock file without series or adjustments
+ */
+export function validateShardIndex(json) {
+    const out = collector();
+    if (!isObject(json) || !isObject(json.months)) return ['missing a months object'];
+    if (typeof json.code !== 'string' || !json.code) out.add('code must be a stock code');
+    checkContractTerms(json, out);
+    for (const [month, dates] of Object.entries(json.months)) {
+        if (!/^\d{4}-\d{2}$/.test(month)) out.add(`month key "${month}" is not YYYY-MM`);
+        if (!Array.isArray(dates) || dates.length === 0) {
+            out.add(`${month}: must list its dates`);
+            continue;
+        }
+        dates.forEach((d, i) => {
+            if (!isDate(d) || !d.startsWith(month)) out.add(`${month}: "${d}" is not a date in that month`);
+            else if (i > 0 && d <= dates[i - 1]) out.add(`${month}: ${d} is out of order`);
+        });
+    }
+    return out.done();
+}
+
+/**
+ * Contract analytics (scripts/build_analytics.js): { version, pricing, fields,
+ * dates: { date: { spot, pcr, maxPain, atm, expiries: { expiry: { pcr, maxPain, rows } } } } }
+ * with each row { k, m, c: [iv, delta, flags], p: [...] }; a date is null when no
+ * spot could be resolved
+ */
+export function validateAnalytics(json) {
+    const out = collector();
+    if (!isObject(json) || !isObject(json.dates)) return ['missing a dates object'];
+    if (!Number.isInteger(json.version)) out.add('version must be an integer');
+    if (!isObject(json.pricing) || typeof json.pricing.exercise !== 'string') out.add('pricing must record the exercise style it was built with');
+    const width = json.fields?.length;
+    if (!Array.isArray(json.fields)) out.add('fields must list the per-contract columns');
+
+    const nullable = v => v === null || isNumber(v);
+    for (const [date, day] of Object.entries(json.dates)) {
+        if (!isDate(date)) out.add(`date key "${date}" is not a YYYY-MM-DD date`);
+        if (day === null) continue;  // no spot could be resolved
+        if (!isObject(day) || !isNumber(day.spot) || !isObject(day.expiries)) {
+            out.add(`${date}: needs a spot and expiries (or null)`);
+            continue;
+        }
+        if (!nullable(day.pcr) || !nullable(day.maxPain)) out.add(`${date}: pcr and maxPain must be numbers or null`);
+        if (!isObject(day.atm) || !['front', 'second', 'cm3m'].every(k => nullable(day.atm[k]))) {
+            out.add(`${date}: atm must hold front, second and cm3m vols`);
+        }
+        for (const [expiry, slice] of Object.entries(day.expiries)) {
+            const where = `${date} ${expiry}`;
+            if (!isChainKey(expiry)) out.add(`${date}: expiry key "${expiry}" is not a YYYY-MM-DD date (with :series for non-standard series)`);
+            if (!isObject(slice) || !Array.isArray(slice.rows)) {
+                out.add(`${where}: rows must be an array`);
+                continue;
+            }
+            slice.rows.forEach((row, i) => {
+                if (!isObject(row) || !isNumber(row.k) || !isNumber(row.m)) return out.add(`${where} row ${i}: needs strike k and moneyness m`);
+                for (const side of ['c', 'p']) {
+                    const values = row[side];
+                    if (!Array.isArray(values) || values.length !== width || !values.every(nullable)) {
+                        out.add(`${where} ${row.k}: ${side} must have ${width} numbers or nulls (${json.fields?.join(', ')})`);
+                    }
+                }
+            });
+        }
+    }
+    return out.done();
+}
+
+/**
+ * summary.json: { date: { code: { cOI, pOI, cVol, pVol } } }
+ */
+export function validateSummary(json) {
+    const out = collector();
+    if (!isObject(json)) return ['not a JSON object'];
+    for (const [date, stocks] of Object.entries(json)) {
+        if (!isDate(date)) out.add(`date key "${date}" is not a YYYY-MM-DD date`);
+        if (!isObject(stocks)) {
+            out.add(`${date}: must map stock codes to totals`);
+            continue;
+        }
+        for (const [code, t] of Object.entries(stocks)) {
+            for (const k of ['cOI', 'pOI', 'cVol', 'pVol']) {
+                if (!isNumber(t?.[k])) out.add(`${date} ${code}: ${k} must be a number`);
+            }
+        }
+    }
+    return out.done();
+}
+
+/**
+ * Underlying prices (fetch_prices.py): { ticker, prices: [{ date, open, high, low, close, volume }] }
+ */
+export function validatePrices(json) {
+    const out = collector();
+    if (!isObject(json) || !Array.isArray(json.prices)) return ['missing a prices array'];
+    json.prices.forEach((p, i) => {
+        if (!isObject(p) || !isDate(p.date)) return out.add(`prices[${i}]: date must be YYYY-MM-DD`);
+        if (i > 0 && p.date <= json.prices[i - 1].date) out.add(`${p.date}: out of order or duplicated`);
+        for (const k of ['open', 'high', 'low', 'close']) {
+            if (!isNumber(p[k]) || p[k] <= 0) out.add(`${p.date}: ${k} must be a positive number`);
+        }
+        if (!isNumber(p.volume) || p.volume < 0) out.add(`${p.date}: volume must be a non-negative number`);
+    });
+    return out.done();
+}
+
+/**
+ * News (fetch_news.py): { ticker, code, articles: [{ title, publisher, link, publishedAt }] }
+ */
+export function validateNews(json) {
+    const out = collector();
+    if (!isObject(json) || !Array.isArray(json.articles)) return ['missing an articles array'];
+    json.articles.forEach((a, i) => {
+        if (!isObject(a) || typeof a.title !== 'string') return out.add(`articles[${i}]: title must be a string`);
+        if (typeof a.publishedAt !== 'string' || Number.isNaN(Date.parse(a.publishedAt))) {
+            out.add(`articles[${i}] "${a.title.slice(0, 40)}": publishedAt is not a date`);
+        }
+    });
+    return out.done();
+}
@@ -0,0 +1,68 @@
+/**
+ * IV Rank / IV Percentile Screener
+ * 30-day constant-maturity ATM implied vol per stock per date, ranked against
+ * each stock's own history. The universe-wide table is precomputed by
+ * scripts/build_screener.js into public/data/screener.json.
+ */
+import { getDates } from './data.js';
+import { atmTermStructure, constantMaturityVol } from './surface.js';
+import { withDateRate } from './rates.js';
+
+export const SCREENER_TENOR = 30; // days
+
+/**
+ * 30-day ATM IV for every date in a stock file
+ * @param {object} [opts] - Pricing options as getSurface, plus { rates } (rates.json)
+ *   to price each date off the curve fixed that day
+ * @returns {{ dates: string[], iv: Array<number|null> }}
+ */
+export function ivHistory(stockData, priceData, opts = {}) {
+    const dates = getDates(stockData);
+    const iv = dates.map(date => {
+        const term = atmTermStructure(stockData, priceData, date, { ...withDateRate(opts, date), maxDte: SCREENER_TENOR });
+        return constantMaturityVol(term, SCREENER_TENOR);
+    });
+    return { dates, iv };
+}
+
+/**
+ * IV rank: where today's IV sits between the period's low (0) and high (100)
+ */
+export function ivRank(history, current) {
+    const values = history.filter(v => v !== null);
+    if (values.length === 0 || current === null) return null;
+    const lo = Math.min(...values), hi = Math.max(...values);
+    return hi > lo ? (current - lo) / (hi - lo) * 100 : 50;
+}
+
+/**
+ * IV percentile: share of days in the period with IV below today's
+ */
+export function ivPercentile(history, current) {
+    const values = history.filter(v => v !== null);
+    if (values.length === 0 || current === null) return null;
+    return values.filter(v => v < current).length / values.length * 100;
+}
+
+/**
+ * Screener row for one stock from its IV history
+ * @returns {object|null} - { iv30, ivRank, ivPercentile, low, high, days, asOf } against
+ *   the latest date with an IV, or null when there is none
+ */
+export function screenStock(history) {
+    let last = history.iv.length - 1;
+    while (last >= 0 && history.iv[last] === null) last--;
+    if (last < 0) return null;
+
+    const current = history.iv[last];
+    const values = history.iv.filter(v => v !== null);
+    return {
+        iv30: current,
+        ivRank: ivRank(history.iv, current),
+        ivPercentile: ivPercentile(history.iv, current),
+        low: Math.min(...values),
+        high: Math.max(...values),
+        days: values.length,
+        asOf: history.dates[last]
+    };
+}
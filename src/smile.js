@@ -0,0 +1,279 @@
+/**
+ * Volatility Smile Fitting
+ * Calibrates one smile per expiry to the IV surface (surface.js) so any
+ * strike can be priced off a smooth curve instead of noisy per-strike IVs.
+ *
+ * Models:
+ *   svi  — raw SVI in total variance w(k) = a + b(ρ(k − m) + √((k − m)² + σ²)),
+ *          k = ln(K / F). Calibrated with a penalty on butterfly and Lee-bound
+ *          violations, so fitted slices are arbitrage-free where possible.
+ *   sabr — Hagan lognormal SABR with a fixed β (default 1).
+ *   flat — weighted mean IV, used when an expiry has too few points.
+ *
+ * Points are weighted by √(1 + open interest), so heavily held strikes
+ * dominate and one-lot stale settles barely move the fit.
+ */
+import { greeks, forwardPrice } from './blackscholes.js';
+import { DEFAULT_RATE, rateAt } from './rates.js';
+
+const MIN_POINTS = { svi: 5, sabr: 3 };
+const ARB_GRID = Array.from({ length: 61 }, (_, i) => -1.5 + i * 0.05); // log-moneyness
+const ARB_PENALTY = 100;
+
+// ============ Optimiser ============
+
+// Nelder-Mead simplex minimiser
+function nelderMead(f, x0, { step = 0.1, maxIter = 1000, tol = 1e-12 } = {}) {
+    const n = x0.length;
+    let simplex = [x0.slice()];
+    for (let i = 0; i < n; i++) {
+        const x = x0.slice();
+        x[i] += step;
+        simplex.push(x);
+    }
+    let values = simplex.map(f);
+    const towards = (from, to, t) => from.map((v, i) => v + t * (to[i] - v));
+
+    for (let iter = 0; iter < maxIter; iter++) {
+        const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+        simplex = order.map(i => simplex[i]);
+        values = order.map(i => values[i]);
+        if (values[n] - values[0] < tol) break;
+
+        const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((s, x) => s + x[j], 0) / n);
+        const worst = simplex[n];
+        const reflected = towards(centroid, worst, -1);
+        const fr = f(reflected);
+
+        if (fr < values[0]) {
+            const expanded = towards(centroid, worst, -2);
+            const fe = f(expanded);
+            [simplex[n], values[n]] = fe < fr ? [expanded, fe] : [reflected, fr];
+        } else if (fr < values[n - 1]) {
+            [simplex[n], values[n]] = [reflected, fr];
+        } else {
+            const contracted = fr < values[n] ? towards(centroid, reflected, 0.5) : towards(centroid, worst, 0.5);
+            const fc = f(contracted);
+            if (fc < Math.min(fr, values[n])) {
+                [simplex[n], values[n]] = [contracted, fc];
+            } else {
+                // Shrink towards the best vertex
+                for (let i = 1; i <= n; i++) {
+                    simplex[i] = towards(simplex[0], simplex[i], 0.5);
+                    values[i] = f(simplex[i]);
+                }
+            }
+        }
+    }
+    return { x: simplex[0], value: values[0] };
+}
+
+// ============ Models ============
+
+function sviParams(x) {
+    return { a: x[0], b: Math.exp(x[1]), rho: Math.tanh(x[2]), m: x[3], sigma: Math.exp(x[4]) };
+}
+
+function sviTotalVariance(p, k) {
+    const km = k - p.m;
+    return p.a + p.b * (p.rho * km + Math.sqrt(km * km + p.sigma * p.sigma));
+}
+
+function sabrParams(x, beta) {
+    return { alpha: Math.exp(x[0]), beta, rho: Math.tanh(x[1]), nu: Math.exp(x[2]) };
+}
+
+// Hagan et al. (2002) lognormal implied vol
+function sabrVol(p, F, K, T) {
+    const { alpha, beta, rho, nu } = p;
+    const ob = 1 - beta;
+    const logFK = Math.log(F / K);
+    const fkb = Math.pow(F * K, ob / 2);
+    const z = (nu / alpha) * fkb * logFK;
+    const x = Math.log((Math.sqrt(1 - 2 * rho * z + z * z) + z - rho) / (1 - rho));
+    const zx = Math.abs(z) < 1e-7 ? 1 : z / x;
+    const denom = fkb * (1 + (ob * ob / 24) * logFK * logFK + (ob ** 4 / 1920) * logFK ** 4);
+    const corr = 1 + ((ob * ob / 24) * alpha * alpha / (fkb * fkb)
+        + rho * beta * nu * alpha / (4 * fkb)
+        + (2 - 3 * rho * rho) / 24 * nu * nu) * T;
+    return (alpha / denom) * zx * corr;
+}
+
+// Total implied variance at log-moneyness k for any fitted slice
+function totalVariance(fit, k) {
+    if (fit.model === 'svi') return sviTotalVariance(fit.params, k);
+    if (fit.model === 'sabr') return sabrVol(fit.params, fit.forward, fit.forward * Math.exp(k), fit.T) ** 2 * fit.T;
+    return fit.params.vol * fit.params.vol * fit.T;
+}
+
+// ============ Arbitrage checks ============
+
+// Durrleman's condition g(k) ≥ 0 ⇔ no butterfly arbitrage (density ≥ 0)
+function durrlemanG(w, k, h = 1e-3) {
+    const w0 = w(k);
+    if (!(w0 > 0)) return -Infinity;
+    const wp = (w(k + h) - w(k - h)) / (2 * h);
+    const wpp = (w(k + h) - 2 * w0 + w(k - h)) / (h * h);
+    return (1 - k * wp / (2 * w0)) ** 2 - (wp * wp / 4) * (1 / w0 + 0.25) + wpp / 2;
+}
+
+function sviViolation(p) {
+    const w = k => sviTotalVariance(p, k);
+    let v = 0;
+    for (const k of ARB_GRID) v += Math.max(0, -durrlemanG(w, k)) ** 2;
+    v += Math.max(0, p.b * (1 + Math.abs(p.rho)) - 2) ** 2;                  // Lee moment bound
+    v += Math.max(0, -(p.a + p.b * p.sigma * Math.sqrt(1 - p.rho * p.rho))) ** 2; // w ≥ 0
+    return v;
+}
+
+function butterflyCheck(fit) {
+    const w = k => totalVariance(fit, k);
+    const minG = Math.min(...ARB_GRID.map(k => durrlemanG(w, k)));
+    const lee = fit.model !== 'svi' || fit.params.b * (1 + Math.abs(fit.params.rho)) <= 2;
+    return { butterfly: minG >= -1e-6, minG, lee, calendar: true };
+}
+
+// ============ Calibration ============
+
+function weightedMean(values, weights) {
+    const total = weights.reduce((s, w) => s + w, 0);
+    return values.reduce((s, v, i) => s + v * weights[i], 0) / total;
+}
+
+function fitSVISlice(ks, ivs, weights, T) {
+    const totalW = weights.reduce((s, w) => s + w, 0);
+    const objective = x => {
+        const p = sviParams(x);
+        let err = 0;
+        for (let i = 0; i < ks.length; i++) {
+            const model = Math.sqrt(Math.max(sviTotalVariance(p, ks[i]), 1e-10) / T);
+            err += weights[i] * (model - ivs[i]) ** 2;
+        }
+        return err / totalW + ARB_PENALTY * sviViolation(p);
+    };
+
+    // ATM total variance from the point nearest k = 0 anchors every start
+    const atm = ks.reduce((best, k, i) => Math.abs(k) < Math.abs(ks[best]) ? i : best, 0);
+    const w0 = ivs[atm] * ivs[atm] * T;
+    let best = null;
+    for (const rho of [-0.5, 0, 0.3]) {
+        const sigma = 0.2, b = Math.max(w0, 1e-4);
+        const x0 = [w0 - b * sigma, Math.log(b), Math.atanh(rho), 0, Math.log(sigma)];
+        const res = nelderMead(objective, x0);
+        if (!best || res.value < best.value) best = res;
+    }
+    // Restart from the best vertex to escape early collapse of the simplex
+    best = nelderMead(objective, best.x, { step: 0.05 });
+    return sviParams(best.x);
+}
+
+function fitSABRSlice(strikes, ivs, weights, F, T, beta) {
+    const totalW = weights.reduce((s, w) => s + w, 0);
+    const objective = x => {
+        const p = sabrParams(x, beta);
+        let err = 0;
+        for (let i = 0; i < strikes.length; i++) {
+            const model = sabrVol(p, F, strikes[i], T);
+            err += weights[i] * ((Number.isFinite(model) ? model : 10) - ivs[i]) ** 2;
+        }
+        return err / totalW;
+    };
+    const atmVol = weightedMean(ivs, weights);
+    const x0 = [Math.log(atmVol * Math.pow(F, 1 - beta)), Math.atanh(-0.3), Math.log(0.5)];
+    const res = nelderMead(objective, x0, { step: 0.2 });
+    return sabrParams(res.x, beta);
+}
+
+/**
+ * Fit one smile slice to the surface points of a single expiry
+ * @param {Array} points - surface.points for one expiry
+ * @param {object} ctx - { expiry, T, dte, spot, r, carry, model, beta }
+ * @returns {object|null} - { expiry, T, dte, model, params, forward, spot, r, carry,
+ *   rmse, maxError, residuals, arbitrage } or null when there are no points; r is
+ *   the slice's own rate when ctx.r is a curve
+ */
+export function fitSmile(points, ctx) {
+    if (points.length === 0) return null;
+    const { expiry, T, dte, spot, carry = {}, beta = 1 } = ctx;
+    const r = rateAt(ctx.r, T);
+    const forward = forwardPrice(spot, T, r, carry);
+    const strikes = points.map(p => p.strike);
+    const ivs = points.map(p => p.iv);
+    const weights = points.map(p => Math.sqrt(1 + (p.oi || 0)));
+
+    let model = ctx.model || 'svi';
+    if (points.length < MIN_POINTS[model]) model = 'flat';
+
+    let params;
+    if (model === 'svi') {
+        params = fitSVISlice(strikes.map(K => Math.log(K / forward)), ivs, weights, T);
+    } else if (model === 'sabr') {
+        params = fitSABRSlice(strikes, ivs, weights, forward, T, beta);
+    } else {
+        params = { vol: weightedMean(ivs, weights) };
+    }
+
+    const fit = { expiry, T, dte, model, params, forward, spot, r, carry };
+    const residuals = points.map(p => {
+        const fitted = smileVol(fit, p.strike);
+        return { strike: p.strike, type: p.type, iv: p.iv, fitted, error: fitted - p.iv };
+    });
+    const sq = residuals.reduce((s, e, i) => s + weights[i] * e.error * e.error, 0);
+    fit.rmse = Math.sqrt(sq / weights.reduce((s, w) => s + w, 0));
+    fit.maxError = Math.max(...residuals.map(e => Math.abs(e.error)));
+    fit.residuals = residuals;
+    fit.arbitrage = butterflyCheck(fit);
+    return fit;
+}
+
+/**
+ * Fit a smile to every expiry of an IV surface
+ * @param {object} surface - getSurface result
+ * @param {object} [opts] - { model: 'svi' | 'sabr', beta, r, q, borrow, dividends }
+ * @returns {Array} - One fit per expiry with points, in expiry order. Adjacent
+ *   slices are checked for calendar arbitrage (total variance must not fall
+ *   with maturity at any log-moneyness); a failing later slice gets
+ *   arbitrage.calendar = false.
+ */
+export function fitSmiles(surface, opts = {}) {
+    const { model = 'svi', beta = 1, r = DEFAULT_RATE, q = 0, borrow = 0, dividends = [] } = opts;
+    const carry = { q, borrow, dividends };
+    const fits = surface.expiries
+        .map(e => fitSmile(surface.points.filter(p => p.expiry === e.expiry), { ...e, spot: surface.spot, r, carry, model, beta }))
+        .filter(Boolean);
+
+    for (let i = 1; i < fits.length; i++) {
+        const prev = fits[i - 1], cur = fits[i];
+        cur.arbitrage.calendar = ARB_GRID.every(k => totalVariance(cur, k) >= totalVariance(prev, k) - 1e-6);
+    }
+    return fits;
+}
+
+/**
+ * Interpolated implied volatility from a fitted slice at any strike
+ */
+export function smileVol(fit, K) {
+    if (fit.model === 'sabr') return sabrVol(fit.params, fit.forward, K, fit.T);
+    const w = totalVariance(fit, Math.log(K / fit.forward));
+    return Math.sqrt(Math.max(w, 1e-10) / fit.T);
+}
+
+/**
+ * Sample a fitted slice across its strike range for charting
+ * @returns {Array<{strike, moneyness, callDelta, iv}>}
+ */
+export function smileCurve(fit, n = 41) {
+    const ks = fit.residuals.map(e => e.strike);
+    const lo = Math.min(...ks) * 0.95, hi = Math.max(...ks) * 1.05;
+    const european = { ...fit.carry, exercise: 'european' };
+    return Array.from({ length: n }, (_, i) => {
+        const strike = lo + (hi - lo) * i / (n - 1);
+        const iv = smileVol(fit, strike);
+        return {
+            strike,
+            moneyness: strike / fit.spot,
+            callDelta: greeks(fit.spot, strike, fit.T, fit.r, iv, 'call', european).delta,
+            iv
+        };
+    });
+}
@@ -1,7 +1,7 @@
 /**
  * Option Strategy Definitions and Payoff Calculator
  */
-import { greeks as calcGreeks } from './blackscholes.js';
+import { greeks as calcGreeks, GREEK_KEYS } from './blackscholes.js';
 
 // Strategy definitions
 export const STRATEGIES = {
@@ -84,12 +84,15 @@ function legPayoff(S, leg) {
 }
 
 /**
- * Calculate full payoff curve
- * @param {Array} legs - [{type, direction, strike, premium}]
+ * Calculate full payoff curve, per contract
+ * @param {Array} legs - [{type, direction, strike, premium, multiplier?}]; premiums and prices
+ *   per share. A leg's own multiplier (an adjusted contract's size) overrides the default.
  * @param {number} spotPrice - Current stock price for range calculation
  * @param {number} [points=100] - Number of price points
+ * @param {number} [multiplier=1] - Shares per contract (1 gives per-share P&L); a stock
+ *   leg is one contract's worth of shares
  */
-export function calculatePayoff(legs, spotPrice, points = 100) {
+export function calculatePayoff(legs, spotPrice, points = 100, multiplier = 1) {
     const minPrice = spotPrice * 0.5;
     const maxPrice = spotPrice * 1.5;
     const step = (maxPrice - minPrice) / points;
@@ -99,7 +102,7 @@ export function calculatePayoff(legs, spotPrice, points = 100) {
         const price = minPrice + i * step;
         let totalPayoff = 0;
         for (const leg of legs) {
-            totalPayoff += legPayoff(price, leg);
+            totalPayoff += legPayoff(price, leg) * (leg.multiplier ?? multiplier);
         }
         data.push({ price: Math.round(price * 100) / 100, payoff: Math.round(totalPayoff * 100) / 100 });
     }
@@ -107,10 +110,11 @@ export function calculatePayoff(legs, spotPrice, points = 100) {
 }
 
 /**
- * Calculate strategy metrics
+ * Calculate strategy metrics; money amounts are per contract of `multiplier` shares
+ * (netPremiumPerShare keeps the quoted per-share figure)
  */
-export function strategyMetrics(legs, spotPrice) {
-    const payoff = calculatePayoff(legs, spotPrice, 200);
+export function strategyMetrics(legs, spotPrice, multiplier = 1) {
+    const payoff = calculatePayoff(legs, spotPrice, 200, multiplier);
 
     const maxProfit = Math.max(...payoff.map(p => p.payoff));
     const maxLoss = Math.min(...payoff.map(p => p.payoff));
@@ -127,47 +131,49 @@ export function strategyMetrics(legs, spotPrice) {
         }
     }
 
-    // Net premium
-    let netPremium = 0;
+    // Net premium, per share and per contract (legs can differ in size after an adjustment)
+    let netPremium = 0, netPremiumValue = 0;
     for (const leg of legs) {
         if (leg.type !== 'stock') {
-            netPremium += (leg.direction === 'long' ? -1 : 1) * leg.premium;
+            const premium = (leg.direction === 'long' ? -1 : 1) * leg.premium;
+            netPremium += premium;
+            netPremiumValue += premium * (leg.multiplier ?? multiplier);
         }
     }
 
+    // Open-ended beyond the grid when it runs past 10000 a share on the largest leg's contract
+    const unlimited = 10000 * (legs.reduce((m, leg) => Math.max(m, leg.multiplier ?? multiplier), 0) || multiplier);
+
     return {
-        maxProfit: maxProfit > 10000 ? 'Unlimited' : maxProfit.toFixed(2),
-        maxLoss: maxLoss < -10000 ? 'Unlimited' : maxLoss.toFixed(2),
+        maxProfit: maxProfit > unlimited ? 'Unlimited' : maxProfit.toFixed(2),
+        maxLoss: maxLoss < -unlimited ? 'Unlimited' : maxLoss.toFixed(2),
         breakevens,
-        netPremium: netPremium.toFixed(2),
+        multiplier,
+        netPremium: netPremiumValue.toFixed(2),
+        netPremiumPerShare: netPremium.toFixed(2),
         riskReward: maxLoss !== 0 ? Math.abs(maxProfit / maxLoss).toFixed(2) : '∞'
     };
 }
 
 /**
- * Aggregate Greeks for a strategy
+ * Aggregate Greeks for a strategy (first order plus vanna, volga, charm, speed, color, zomma)
+ * @param {number|object} r - Risk-free rate, or a rates.js curve
+ * @param {number} sigma - Volatility for legs without their own `sigma` (e.g. from a fitted smile)
+ * @param {object} [opts] - Pricing options passed to greeks(), e.g. { exercise: 'american' }
  */
-export function strategyGreeks(legs, S, T, r, sigma) {
-    let totalDelta = 0, totalGamma = 0, totalTheta = 0, totalVega = 0;
+export function strategyGreeks(legs, S, T, r, sigma, opts = {}) {
+    const totals = Object.fromEntries(GREEK_KEYS.map(k => [k, 0]));
 
     for (const leg of legs) {
         const mult = leg.direction === 'long' ? 1 : -1;
 
         if (leg.type === 'stock') {
-            totalDelta += mult;
+            totals.delta += mult;
         } else {
-            const g = calcGreeks(S, leg.strike, T, r, sigma, leg.type);
-            totalDelta += mult * g.delta;
-            totalGamma += mult * g.gamma;
-            totalTheta += mult * g.theta;
-            totalVega += mult * g.vega;
+            const g = calcGreeks(S, leg.strike, T, r, leg.sigma ?? sigma, leg.type, opts);
+            for (const k of GREEK_KEYS) totals[k] += mult * g[k];
         }
     }
 
-    return {
-        delta: totalDelta,
-        gamma: totalGamma,
-        theta: totalTheta,
-        vega: totalVega
-    };
+    return totals;
 }
@@ -0,0 +1,205 @@
+/**
+ * Implied Volatility Surface
+ * Inverts DTOP settlement prices into implied volatilities across every
+ * strike and expiry for one stock and date.
+ */
+import { getChain, getExpiries, getDates } from './data.js';
+import { STANDARD_SERIES, expiryDate } from './schema.js';
+import { impliedVolatility, greeks, forwardPrice } from './blackscholes.js';
+import { daysToExpiry, yearFraction } from './calendar.js';
+import { resolveSpot } from './parity.js';
+import { contractKey } from './arbitrage.js';
+import { DEFAULT_RATE, withDateRate } from './rates.js';
+
+export const SURFACE_DEFAULTS = {
+    r: DEFAULT_RATE,     // risk-free rate or rates.js curve
+    minSettle: 0.01,     // HKEX floor settle — carries no volatility information
+    minOI: 1,            // drop contracts with no open interest...
+    minVolume: 1,        // ...unless they traded today
+    otmOnly: true,       // use OTM calls above spot and OTM puts below
+    steps: 100,          // CRR steps — the control variate keeps 100 accurate to well under a tick
+    series: STANDARD_SERIES, // DTOP series read; the spot is only resolved against the monthlies
+};
+
+const FRONT_MIN_DAYS = 5;        // roll off the front month in expiry week
+const CONSTANT_MATURITY = 91;    // 3-month constant-maturity point, calendar days
+
+/**
+ * Build the IV surface for a stock on a date
+ * @param {object} stockData - Per-stock DTOP JSON (loadStockData)
+ * @param {object} priceData - Underlying prices JSON (loadPriceData)
+ * @param {string} date - Trading date (YYYY-MM-DD)
+ * @param {object} [opts] - { r, minSettle, minOI, minVolume, otmOnly, series, exclude } plus pricing
+ *   options for impliedVolatility (exercise, method, q, borrow, dividends); exclude is a
+ *   Set of arbitrage.js contract keys to leave out (checkArbitrage().flagged)
+ * @returns {object|null} - { date, spot, spotInfo, expiries, strikes, grid, points, dropped } or
+ *   null when no spot can be resolved (see parity.js resolveSpot)
+ *   grid[i][j] is the IV for expiries[i] × strikes[j] (null where filtered)
+ *   points carry moneyness (K/S), log-moneyness and delta coordinates
+ */
+export function getSurface(stockData, priceData, date, opts = {}) {
+    const cfg = { ...SURFACE_DEFAULTS, ...opts };
+    const spotInfo = resolveSpot(stockData, priceData, date, cfg);
+    if (!spotInfo) return null;
+    const spot = spotInfo.spot;
+
+    const points = [];
+    const dropped = { stale: 0, illiquid: 0, itm: 0, arbitrage: 0, solver: 0 };
+    const expiries = [];
+
+    for (const expiry of getExpiries(stockData, date, cfg.series)) {
+        const dte = daysToExpiry(expiryDate(expiry), date);
+        const T = yearFraction(expiryDate(expiry), date);
+        if (T <= 0) continue;
+        expiries.push({ expiry, T, dte });
+
+        for (const row of getChain(stockData, date, expiry)) {
+            for (const type of ['call', 'put']) {
+                const opt = row[type];
+                if (opt.settle <= cfg.minSettle) { dropped.stale++; continue; }
+                if (opt.net < cfg.minOI && opt.turnover < cfg.minVolume) { dropped.illiquid++; continue; }
+                const otm = type === 'call' ? row.strike >= spot : row.strike < spot;
+                if (cfg.otmOnly && !otm) { dropped.itm++; continue; }
+                if (cfg.exclude?.has(contractKey(expiry, row.strike, type))) { dropped.arbitrage++; continue; }
+
+                const solved = impliedVolatility(opt.settle, spot, row.strike, T, cfg.r, type, cfg);
+                if (solved.status !== 'converged') { dropped.solver++; continue; }
+
+                // Delta coordinates are the usual Black-Scholes deltas at the solved IV;
+                // callDelta gives puts and calls one monotone axis
+                const european = { ...cfg, exercise: 'european' };
+                const g = greeks(spot, row.strike, T, cfg.r, solved.iv, type, european);
+                const callDelta = type === 'call' ? g.delta : greeks(spot, row.strike, T, cfg.r, solved.iv, 'call', european).delta;
+                points.push({
+                    expiry, T, dte, type,
+                    strike: row.strike,
+                    settle: opt.settle,
+                    oi: opt.net,
+                    volume: opt.turnover,
+                    iv: solved.iv,
+                    moneyness: row.strike / spot,
+                    logMoneyness: Math.log(row.strike / spot),
+                    delta: g.delta,
+                    callDelta
+                });
+            }
+        }
+    }
+
+    // Strike × expiry grid; OTM side wins where both call and put survive
+    const strikes = [...new Set(points.map(p => p.strike))].sort((a, b) => a - b);
+    const strikeIdx = new Map(strikes.map((k, j) => [k, j]));
+    const grid = expiries.map(() => strikes.map(() => null));
+    expiries.forEach((e, i) => {
+        for (const p of points) {
+            if (p.expiry !== e.expiry) continue;
+            const j = strikeIdx.get(p.strike);
+            const otm = p.type === 'call' ? p.strike >= spot : p.strike < spot;
+            if (grid[i][j] === null || otm) grid[i][j] = p.iv;
+        }
+    });
+
+    return { date, spot, spotInfo, expiries, strikes, grid, points, dropped };
+}
+
+// ============ ATM Volatility ============
+
+// ATM-forward vol for one expiry: OTM IVs at the strikes either side of the
+// forward, interpolated linearly in strike
+function atmSliceVol(chain, spot, forward, T, cfg) {
+    const solve = row => {
+        if (!row) return null;
+        const type = row.strike < forward ? 'put' : 'call';
+        const opt = row[type];
+        if (opt.settle <= cfg.minSettle) return null;
+        const res = impliedVolatility(opt.settle, spot, row.strike, T, cfg.r, type, cfg);
+        return res.status === 'converged' ? res.iv : null;
+    };
+    const above = chain.findIndex(row => row.strike > forward);
+    const lo = above === -1 ? chain[chain.length - 1] : chain[above - 1];
+    const hi = above === -1 ? null : chain[above];
+    const ivLo = solve(lo), ivHi = solve(hi);
+
+    if (ivLo !== null && ivHi !== null) {
+        const w = (forward - lo.strike) / (hi.strike - lo.strike);
+        return ivLo + w * (ivHi - ivLo);
+    }
+    return ivLo ?? ivHi;
+}
+
+/**
+ * ATM implied vol term structure for a stock on a date
+ * @param {object} [opts] - As getSurface, plus { maxDte } to stop after the first
+ *   expiry at or beyond that many days
+ * @returns {Array<{expiry, T, dte, forward, iv}>} - Expiries with a solvable ATM vol,
+ *   nearest first; empty when no spot can be resolved
+ */
+export function atmTermStructure(stockData, priceData, date, opts = {}) {
+    const cfg = { ...SURFACE_DEFAULTS, ...opts };
+    const spotInfo = resolveSpot(stockData, priceData, date, cfg);
+    if (!spotInfo) return [];
+
+    const term = [];
+    for (const expiry of getExpiries(stockData, date, cfg.series)) {
+        const dte = daysToExpiry(expiryDate(expiry), date);
+        const T = yearFraction(expiryDate(expiry), date);
+        if (T <= 0) continue;
+        const forward = spotInfo.forwards[expiry]?.forward ?? forwardPrice(spotInfo.spot, T, cfg.r, cfg);
+        const iv = atmSliceVol(getChain(stockData, date, expiry), spotInfo.spot, forward, T, cfg);
+        if (iv !== null) term.push({ expiry, T, dte, forward, iv });
+        if (cfg.maxDte && dte >= cfg.maxDte && iv !== null) break;
+    }
+    return term;
+}
+
+/**
+ * Constant-maturity ATM vol, interpolating total variance (σ²T) linearly in time
+ * @param {number} [days] - Calendar-day tenor; its trading time is interpolated from
+ *   the bracketing expiries so holidays inside the window are not counted
+ * @returns {number|null} - null beyond the last listed expiry (no extrapolation)
+ */
+export function constantMaturityVol(term, days = CONSTANT_MATURITY) {
+    if (term.length === 0) return null;
+    if (days <= term[0].dte) return term[0].iv;
+    const i = term.findIndex(p => p.dte >= days);
+    if (i === -1) return null;
+    const a = term[i - 1], b = term[i];
+    const wa = a.iv * a.iv * a.T, wb = b.iv * b.iv * b.T;
+    const T = a.T + (b.T - a.T) * (days - a.dte) / (b.dte - a.dte);
+    const w = wa + (wb - wa) * (T - a.T) / (b.T - a.T);
+    return Math.sqrt(w / T);
+}
+
+/**
+ * ATM implied vol history across every date in the stock file
+ * @param {object} [opts] - As getSurface, plus { rates } (rates.json) to price each
+ *   date off the curve fixed that day
+ * @returns {object} - { dates, front, second, cm3m } with one value (or null) per date;
+ *   front and second are the nearest listed expiries at least FRONT_MIN_DAYS out,
+ *   cm3m the 3-month constant-maturity vol
+ */
+export function atmVolHistory(stockData, priceData, opts = {}) {
+    const dates = getDates(stockData);
+    const front = [], second = [], cm3m = [];
+    for (const date of dates) {
+        const atm = atmVolPoint(stockData, priceData, date, withDateRate(opts, date));
+        front.push(atm.front);
+        second.push(atm.second);
+        cm3m.push(atm.cm3m);
+    }
+    return { dates, front, second, cm3m };
+}
+
+/**
+ * One date of atmVolHistory
+ * @param {object} [opts] - As getSurface, with r the curve for this date
+ * @returns {object} - { front, second, cm3m }, each null when not solvable
+ */
+export function atmVolPoint(stockData, priceData, date, opts = {}) {
+    const term = atmTermStructure(stockData, priceData, date, opts).filter(p => p.dte >= FRONT_MIN_DAYS);
+    return {
+        front: term[0]?.iv ?? null,
+        second: term[1]?.iv ?? null,
+        cm3m: constantMaturityVol(term, CONSTANT_MATURITY)
+    };
+}
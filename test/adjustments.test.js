@@ -0,0 +1,84 @@
+/**
+ * Contract adjustments end to end on a fixture: build_data.js links the
+ * strikes across a special dividend, the data layer flags the adjusted rows
+ * and joins the settlement history, and strategy P&L uses the adjusted size.
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { adjustmentLinks } from '../scripts/build_data.js';
+import { getChain, getSettlementHistory, contractAdjustment, linkedClasses } from '../src/data.js';
+import { calculatePayoff, strategyMetrics } from '../src/strategies.js';
+
+const EXPIRY = '2026-06-29';
+// [gross, net, turnover, deals, settle, priceChg]
+const row = (k, callSettle, putSettle) => ({ k, c: [0, 100, 0, 0, callSettle, 0], p: [0, 100, 0, 0, putSettle, 0] });
+
+// Special dividend: strikes × 0.95, 500 → 526 shares, adjusted contracts moved to XYZ1
+const ADJ = {
+    code: 'XYZ', adjustedCode: 'XYZ1', effective: '2026-03-03', factor: 0.95,
+    multiplier: { before: 500, after: 526 }, reason: 'Special dividend HK$2.50'
+};
+
+function fixture() {
+    const before = { dates: {
+        '2026-02-27': { [EXPIRY]: [row(50, 3.1, 2.0), row(55, 1.2, 5.0)] },
+        '2026-03-02': { [EXPIRY]: [row(50, 3.0, 2.1), row(55, 1.1, 5.2)] }
+    } };
+    const after = { dates: {
+        '2026-03-03': { [EXPIRY]: [row(47.5, 2.9, 2.0), row(52.25, 1.0, 5.0)] },
+        '2026-03-04': { [EXPIRY]: [row(47.5, 2.8, 2.2), row(52.25, 0.9, 5.3)] }
+    } };
+    const entry = { ...ADJ, links: adjustmentLinks(ADJ, before, after) };
+    before.adjustments = [entry];
+    after.adjustments = [entry];
+    return { before, after, entry };
+}
+
+test('Strikes are linked to strike × factor on the first adjusted day', () => {
+    const { entry } = fixture();
+    assert.deepEqual(entry.links, { [EXPIRY]: [[50, 47.5], [55, 52.25]] });
+});
+
+test('Adjusted rows carry their adjustment from the effective date', () => {
+    const { after } = fixture();
+    const chain = getChain(after, '2026-03-04', EXPIRY);
+    assert.equal(chain[0].adjustment.multiplier.after, 526);
+    assert.equal(contractAdjustment(after, '2026-03-02', EXPIRY, 47.5), null);
+    assert.deepEqual(linkedClasses(after, 'XYZ1'), ['XYZ']);
+});
+
+test('Settlement history follows the contract across classes, rescaled to the adjusted terms', () => {
+    const { before, after } = fixture();
+    const history = getSettlementHistory(after, EXPIRY, 47.5, 'call', { classes: { XYZ: before } });
+    assert.deepEqual(history.map(p => p.date), ['2026-02-27', '2026-03-02', '2026-03-03', '2026-03-04']);
+    assert.deepEqual(history.map(p => p.strike), [50, 50, 47.5, 47.5]);
+    assert.deepEqual(history.map(p => p.adjusted), [true, true, false, false]);
+    assert.ok(Math.abs(history[1].settle - 3.0 * 0.95) < 1e-9);
+
+    // Seen from before the adjustment, later settles are scaled back to the old terms
+    const forward = getSettlementHistory(before, EXPIRY, 50, 'call', { asOf: '2026-03-02', classes: { XYZ1: after } });
+    assert.ok(Math.abs(forward.at(-1).settle - 2.8 / 0.95) < 1e-9);
+    assert.equal(forward.at(-1).strike, 47.5);
+});
+
+test('Legs on adjusted contracts are valued in the adjusted contract size', () => {
+    const legs = [
+        { type: 'call', direction: 'long', strike: 47.5, premium: 2.8, multiplier: 526 },
+        { type: 'call', direction: 'short', strike: 52.25, premium: 0.9, multiplier: 526 }
+    ];
+    const payoff = calculatePayoff(legs, 50, 100, 500);
+    const top = payoff.at(-1);
+    assert.ok(Math.abs(top.payoff - (52.25 - 47.5 - 1.9) * 526) < 0.01);
+    assert.equal(strategyMetrics(legs, 50, 500).netPremium, (-1.9 * 526).toFixed(2));
+});
+
+test('Unlimited payoffs are judged against the largest leg contract size', () => {
+    // A capped call spread worth (200 − 120) × 526 at most, well above 10000 a share on the default size
+    const legs = [
+        { type: 'call', direction: 'long', strike: 400, premium: 150, multiplier: 526 },
+        { type: 'call', direction: 'short', strike: 600, premium: 30, multiplier: 526 }
+    ];
+    const metrics = strategyMetrics(legs, 500, 1);
+    assert.equal(metrics.maxProfit, (80 * 526).toFixed(2));
+    assert.equal(metrics.maxLoss, (-120 * 526).toFixed(2));
+});
@@ -0,0 +1,26 @@
+/**
+ * Checks for src/calendar.js: the holiday table and its coverage warning.
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isTradingDay, isHalfDay, tradingDays, CALENDAR_YEARS } from '../src/calendar.js';
+
+test('2027 closures and half-days are in the table', () => {
+    assert.ok(CALENDAR_YEARS.includes(2027));
+    for (const date of ['2027-01-01', '2027-02-08', '2027-03-26', '2027-07-01', '2027-12-27']) {
+        assert.equal(isTradingDay(date), false, date);
+    }
+    assert.equal(isTradingDay('2027-02-10'), true);
+    assert.equal(isHalfDay('2027-02-05'), true);
+    // Lunar New Year week: Fri half-day, Mon/Tue closed
+    assert.equal(tradingDays('2027-02-10', '2027-02-04'), 1.5);
+});
+
+test('Dates past the table warn once per year', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    isTradingDay('2028-03-01');
+    isTradingDay('2028-06-01');
+    isTradingDay('2027-06-01');
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /2028/);
+});
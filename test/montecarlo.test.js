@@ -0,0 +1,33 @@
+/**
+ * Checks for src/montecarlo.js position P&L.
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { simulatePosition } from '../src/montecarlo.js';
+import { TRADING_DAYS_PER_YEAR } from '../src/calendar.js';
+
+const LEGS = [{ type: 'call', direction: 'long', strike: 100, premium: 4 }];
+const OPTS = { spot: 100, days: 10, expiryT: 0.25, r: 0.04, sigma: 0.3, nPaths: 2000, seed: 7 };
+
+test('P&L is quoted per contract of the multiplier', () => {
+    const perShare = simulatePosition(LEGS, OPTS);
+    const perContract = simulatePosition(LEGS, { ...OPTS, multiplier: 500 });
+    assert.ok(Math.abs(perContract.mean - 500 * perShare.mean) < 1e-6 * Math.max(1, Math.abs(perContract.mean)));
+    assert.ok(Math.abs(perContract.percentiles[5] - 500 * perShare.percentiles[5]) < 1e-6 * 500);
+    assert.equal(perContract.probProfit, perShare.probProfit);
+});
+
+test('Dividends going ex before the horizon come off the simulated spot', () => {
+    const stock = [{ type: 'stock', direction: 'long', strike: 100, premium: 0 }];
+    const dividends = [{ amount: 3, t: 5 / TRADING_DAYS_PER_YEAR }, { amount: 2, t: 0.2 }];
+    const plain = simulatePosition(stock, OPTS);
+    const withDivs = simulatePosition(stock, { ...OPTS, pricing: { dividends } });
+    // Only the first is paid inside 10 days, carried 5 days at r
+    const paid = 3 * Math.exp(0.04 * 5 / TRADING_DAYS_PER_YEAR);
+    withDivs.terminal.forEach((S, i) => assert.ok(Math.abs(S - (plain.terminal[i] - paid)) < 1e-9));
+    assert.ok(Math.abs(plain.mean - withDivs.mean - paid) < 1e-9);
+    // Sample paths drop on the ex-date
+    const path = withDivs.samplePaths[0], before = plain.samplePaths[0];
+    assert.equal(path[4], before[4]);
+    assert.ok(Math.abs(path[5] - (before[5] - 3)) < 1e-9);
+});
@@ -0,0 +1,95 @@
+/**
+ * Regression checks for src/blackscholes.js: tree and BAW prices, carry, the
+ * IV solver's status codes and its round trip under every exercise style.
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { blackScholes, optionPrice, impliedVolatility, greeks } from '../src/blackscholes.js';
+
+const AMERICAN = { exercise: 'american' };
+const BAW = { exercise: 'american', method: 'baw' };
+const STYLES = { european: {}, crr: AMERICAN, baw: BAW };
+
+test('European call/put satisfy put-call parity with a dividend yield', () => {
+    const [S, K, T, r, sigma, q] = [100, 95, 0.75, 0.04, 0.3, 0.03];
+    const call = blackScholes(S, K, T, r, sigma, 'call', { q });
+    const put = blackScholes(S, K, T, r, sigma, 'put', { q });
+    assert.ok(Math.abs(call - put - (S * Math.exp(-q * T) - K * Math.exp(-r * T))) < 1e-6);
+});
+
+test('American prices are at least European and intrinsic', () => {
+    for (const opts of [AMERICAN, BAW]) {
+        for (const [K, type] of [[80, 'put'], [100, 'put'], [120, 'put'], [80, 'call'], [120, 'call']]) {
+            const am = optionPrice(100, K, 0.5, 0.05, 0.25, type, { ...opts, q: 0.04 });
+            const eu = blackScholes(100, K, 0.5, 0.05, 0.25, type, { q: 0.04 });
+            const intrinsic = type === 'call' ? Math.max(0, 100 - K) : Math.max(0, K - 100);
+            assert.ok(am >= eu - 1e-6 && am >= intrinsic - 1e-9, `${opts.method || 'crr'} ${type} ${K}: ${am}`);
+        }
+    }
+});
+
+test('American call without carry yield is the European call', () => {
+    const am = optionPrice(100, 100, 1, 0.05, 0.3, 'call', AMERICAN);
+    assert.ok(Math.abs(am - blackScholes(100, 100, 1, 0.05, 0.3, 'call')) < 0.01);
+});
+
+test('CRR tree stays bounded when σ√dt < (r − q)dt', () => {
+    // Blew up to ~1e68 when the up-probability left [0, 1]
+    for (const sigma of [0.001, 0.003, 0.005, 0.01, 0.02]) {
+        for (const type of ['call', 'put']) {
+            for (const opts of [AMERICAN, BAW, { ...AMERICAN, q: 0.08 }]) {
+                const price = optionPrice(100, 100, 0.5, 0.05, sigma, type, opts);
+                assert.ok(Number.isFinite(price) && price >= 0 && price <= 100, `σ=${sigma} ${type}: ${price}`);
+            }
+        }
+    }
+    assert.ok(optionPrice(100, 100, 0.5, 0.05, 0.001, 'put', AMERICAN) < 0.01);
+    assert.equal(optionPrice(90, 100, 0.5, 0.05, 0.001, 'put', AMERICAN), 10);
+});
+
+test('Small-vol tree price is continuous with the regular tree', () => {
+    const low = optionPrice(100, 100, 0.5, 0.05, 0.05, 'put', AMERICAN);
+    const fine = optionPrice(100, 100, 0.5, 0.05, 0.05, 'put', { ...AMERICAN, steps: 1000 });
+    assert.ok(Math.abs(low - fine) < 0.01, `${low} vs ${fine}`);
+});
+
+test('ATM and near-the-money IVs round-trip under every exercise style', () => {
+    for (const [name, style] of Object.entries(STYLES)) {
+        for (const T of [0.05, 0.5, 1.2]) {
+            for (const K of [90, 100, 110]) {
+                for (const type of ['call', 'put']) {
+                    const opts = { ...style, q: 0.06 };
+                    const price = optionPrice(100, K, T, 0.04, 0.3, type, opts);
+                    const solved = impliedVolatility(price, 100, K, T, 0.04, type, opts);
+                    assert.equal(solved.status, 'converged', `${name} T=${T} ${type} ${K}`);
+                    assert.ok(Math.abs(solved.iv - 0.3) < 1e-3, `${name} T=${T} ${type} ${K}: ${solved.iv}`);
+                }
+            }
+        }
+    }
+});
+
+test('American ATM put quotes converge on long expiries', () => {
+    // Near-ATM May–Dec expiries were rejected as below_intrinsic by the broken tree
+    for (const price of [4, 7, 12]) {
+        const solved = impliedVolatility(price, 100, 100, 0.5, 0.05, 'put', AMERICAN);
+        assert.equal(solved.status, 'converged', `put at ${price}`);
+    }
+});
+
+test('IV solver status codes', () => {
+    assert.equal(impliedVolatility(0, 100, 100, 0.5, 0.04).status, 'invalid_input');
+    assert.equal(impliedVolatility(5, 100, 100, 0, 0.04).status, 'invalid_input');
+    // Below intrinsic: an ITM American put can always be exercised for K − S
+    assert.equal(impliedVolatility(9, 90, 100, 0.5, 0.04, 'put', AMERICAN).status, 'below_intrinsic');
+    // Below the discounted forward intrinsic of a European call
+    assert.equal(impliedVolatility(10, 120, 100, 0.5, 0.04, 'call').status, 'below_intrinsic');
+    assert.equal(impliedVolatility(150, 100, 100, 0.5, 0.04, 'call').status, 'above_max');
+});
+
+test('Greeks are finite and signed as expected for American options', () => {
+    const g = greeks(100, 100, 0.5, 0.04, 0.3, 'put', { ...AMERICAN, q: 0.03 });
+    for (const [k, v] of Object.entries(g)) assert.ok(Number.isFinite(v), `${k} = ${v}`);
+    assert.ok(g.delta < 0 && g.delta > -1);
+    assert.ok(g.gamma > 0 && g.vega > 0);
+});
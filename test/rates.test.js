@@ -0,0 +1,33 @@
+/**
+ * Checks for src/rates.js: tenors land on the same trading-year clock as T.
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { rateCurve, rateAt, curveForDate } from '../src/rates.js';
+import { yearFraction } from '../src/calendar.js';
+
+const TENORS = [
+    { tenor: 'O/N', days: 1 }, { tenor: '1W', days: 7 }, { tenor: '1M', days: 30 },
+    { tenor: '3M', days: 91 }, { tenor: '6M', days: 182 }, { tenor: '12M', days: 365 }
+];
+const RATES = {
+    tenors: TENORS,
+    curves: [{ date: '2026-03-02', rates: { 'O/N': 0.01, '1W': 0.02, '1M': 0.03, '3M': 0.04, '6M': 0.05, '12M': 0.06 } }]
+};
+
+test('Each tenor is read at the trading-year T of an expiry that many calendar days out', () => {
+    const curve = curveForDate(RATES, '2026-03-02');
+    for (const [expiry, rate] of [['2026-04-01', 0.03], ['2026-06-01', 0.04], ['2026-08-31', 0.05], ['2027-03-02', 0.06]]) {
+        const T = yearFraction(expiry, '2026-03-02');
+        assert.ok(Math.abs(rateAt(curve, T) - rate) < 1e-9, `${expiry}: ${rateAt(curve, T)}`);
+    }
+});
+
+test('Curves interpolate between tenors and hold flat outside them', () => {
+    const curve = rateCurve([{ days: 30, rate: 0.02 }, { days: 90, rate: 0.04 }], '2026-03-02');
+    const [a, b] = curve.points.map(p => p.T);
+    assert.equal(rateAt(curve, 0.001), 0.02);
+    assert.equal(rateAt(curve, 5), 0.04);
+    assert.ok(Math.abs(rateAt(curve, (a + b) / 2) - 0.03) < 1e-9);
+    assert.equal(rateAt(0.05, 1), 0.05);
+});
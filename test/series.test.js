@@ -0,0 +1,80 @@
+/**
+ * Chains keyed by series and expiry (format 4): same-day series stay apart.
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { chainKey, expiryDate, validateStock, FIELD_MAP } from '../src/schema.js';
+import { getExpiries, getSeries, listSeries, getChain } from '../src/data.js';
+import { resolveSpot } from '../src/parity.js';
+import { getSurface } from '../src/surface.js';
+import { checkArbitrage } from '../src/arbitrage.js';
+
+const DATE = '2026-03-02';
+const EXPIRY = '2026-03-30';
+const row = (k, settle) => ({ k, c: [0, 10, 0, 0, settle, 0, 0], p: [0, 10, 0, 0, settle, 0, 0] });
+const pair = (k, call, put) => ({ k, c: [0, 10, 0, 0, call, 0, 0], p: [0, 10, 0, 0, put, 0, 0] });
+
+const stock = {
+    dates: { [DATE]: {
+        [chainKey(EXPIRY)]: [row(100, 2.5)],
+        [chainKey(EXPIRY, 'WKS')]: [row(100, 2.4), row(105, 0.8)],
+        [chainKey('2026-04-29')]: [row(100, 4.0)]
+    } },
+    series: { [chainKey(EXPIRY, 'WKS')]: 'WKS' }
+};
+
+test('Chain keys name the series only off the standard monthlies', () => {
+    assert.equal(chainKey(EXPIRY), EXPIRY);
+    assert.equal(chainKey(EXPIRY, 'WKS'), `${EXPIRY}:WKS`);
+    assert.equal(expiryDate(`${EXPIRY}:WKS`), EXPIRY);
+});
+
+test('Same-day series keep separate chains and filter by series', () => {
+    assert.deepEqual(getExpiries(stock, DATE), [EXPIRY, `${EXPIRY}:WKS`, '2026-04-29']);
+    assert.deepEqual(getExpiries(stock, DATE, 'WKS'), [`${EXPIRY}:WKS`]);
+    assert.deepEqual(getExpiries(stock, DATE, 'SOM'), [EXPIRY, '2026-04-29']);
+    assert.equal(getChain(stock, DATE, `${EXPIRY}:WKS`).length, 2);
+    assert.equal(getChain(stock, DATE, EXPIRY).length, 1);
+    assert.deepEqual(listSeries(stock), ['SOM', 'WKS']);
+    // The series map is optional for format 4 keys
+    assert.equal(getSeries({ dates: {} }, `${EXPIRY}:RMB`), 'RMB');
+});
+
+test('Stock files with series chain keys validate', () => {
+    assert.deepEqual(validateStock(stock, FIELD_MAP), []);
+    const bad = { dates: { [DATE]: { '2026-03-30WKS': [row(100, 1)] } } };
+    assert.equal(validateStock(bad, FIELD_MAP).length, 1);
+});
+
+// HKD monthlies around 100 and an earlier RMB series around 92, plus a weekly
+// between two monthlies priced above the later one
+const twoSeries = {
+    dates: { [DATE]: {
+        [chainKey('2026-03-16', 'RMB')]: [pair(90, 2.6, 0.6), pair(95, 0.5, 3.5)],
+        [chainKey(EXPIRY)]: [pair(95, 6.0, 0.9), pair(100, 2.9, 2.7), pair(105, 1.0, 5.8)],
+        [chainKey('2026-04-15', 'WKS')]: [pair(100, 5.0, 4.8)],
+        [chainKey('2026-04-29')]: [pair(95, 7.0, 1.8), pair(100, 2.5, 3.6), pair(105, 1.9, 6.8)]
+    } }
+};
+
+test('Spot and surface come from the standard series only', () => {
+    const info = resolveSpot(twoSeries, null, DATE, { r: 0.04 });
+    assert.ok(Math.abs(info.spot - 100) < 1, `parity spot ${info.spot}`);
+    assert.deepEqual(Object.keys(info.forwards), [EXPIRY, '2026-04-29']);
+
+    const surface = getSurface(twoSeries, null, DATE, { r: 0.04, minOI: 0 });
+    assert.deepEqual(surface.expiries.map(e => e.expiry), [EXPIRY, '2026-04-29']);
+});
+
+test('Calendar checks run within each series', () => {
+    // The 100 call of the later monthly is below the earlier monthly's...
+    const monthly = checkArbitrage(twoSeries, DATE);
+    assert.deepEqual(monthly.violations.filter(v => v.kind === 'calendar').map(v => v.detail),
+        [`call 100 2026-04-29 below ${EXPIRY}`]);
+    assert.ok(monthly.violations.every(v => !v.expiry.includes(':')));
+
+    // ...and still found with the weekly in between, which isn't compared to either
+    const all = checkArbitrage(twoSeries, DATE, { series: null });
+    const calendars = all.violations.filter(v => v.kind === 'calendar');
+    assert.deepEqual(calendars, monthly.violations.filter(v => v.kind === 'calendar'));
+});